@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+import { readFileSync } from 'node:fs'
+import { parseArgs } from 'node:util'
+import { convertDetailed, convertAwsToUnixCron, parseCrontab } from './index.js'
+import { parseKubernetesCronJobs, parseGitHubSchedules, parseGitLabSchedules } from './schedules.js'
+
+const USAGE = `Usage: unix-cron-to-aws-cron [options] [expression]
+       unix-cron-to-aws-cron --crontab [file] [options]
+       unix-cron-to-aws-cron --kubernetes [file] [options]
+       unix-cron-to-aws-cron --github [file] [options]
+       unix-cron-to-aws-cron --gitlab [file] [options]
+
+Converts a Unix cron expression to AWS EventBridge format. Without an expression,
+converts every non-empty line of stdin. With --crontab, --kubernetes, --github or
+--gitlab, converts every schedule in a file of that kind (read from stdin when no
+file or - is given)
+
+Options:
+  --year <year>    AWS year field (default: *)
+  --strict         Fail instead of warning when the conversion is not exact
+  --seed <seed>    Seed for Jenkins H tokens, such as the job name
+  --reverse        Convert AWS cron() expressions to Unix cron
+  --json           Print JSON: one object per expression, or all crontab entries
+  --crontab        Read a whole crontab
+  --system         System crontab format, with a user column (/etc/crontab, /etc/cron.d)
+  --kubernetes     Read Kubernetes CronJob manifests
+  --github         Read a GitHub Actions workflow (on.schedule)
+  --gitlab         Read GitLab pipeline schedules as returned by the API (JSON)
+  -h, --help       Show this help`
+
+// File modes that print one line per schedule, with how each schedule is named in the output
+const SCHEDULE_FILES = {
+  kubernetes: { parse: parseKubernetesCronJobs, label: cronJob => `${cronJob.namespace ?? 'default'}/${cronJob.name ?? `document ${cronJob.document}`}` },
+  github: { parse: parseGitHubSchedules, label: schedule => schedule.cron ?? `schedule ${schedule.index}` },
+  gitlab: { parse: parseGitLabSchedules, label: schedule => schedule.description ?? `schedule ${schedule.id}` }
+}
+
+// Options that convert every schedule in a file instead of expressions
+const FILE_MODES = ['crontab', ...Object.keys(SCHEDULE_FILES)]
+
+/**
+ * Runs the command line interface
+ *
+ * @param {string[]} args - Command line arguments without node and the script path
+ * @returns {number} Exit code: 0 on success, 1 if anything could not be converted
+ */
+function main(args) {
+  let parsed
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        crontab: { type: 'boolean' },
+        system: { type: 'boolean' },
+        kubernetes: { type: 'boolean' },
+        github: { type: 'boolean' },
+        gitlab: { type: 'boolean' },
+        year: { type: 'string' },
+        strict: { type: 'boolean' },
+        seed: { type: 'string' },
+        reverse: { type: 'boolean' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    })
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`)
+    return 1
+  }
+
+  const { values, positionals } = parsed
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+  const fileModes = FILE_MODES.filter(mode => values[mode])
+  if (values.reverse && (values.year !== undefined || values.strict || values.seed !== undefined || fileModes.length > 0)) {
+    console.error(`error: --reverse cannot be combined with --year, --strict, --seed, --crontab, --kubernetes, --github or --gitlab\n\n${USAGE}`)
+    return 1
+  }
+  if (values.system && !values.crontab) {
+    console.error(`error: --system can only be used with --crontab\n\n${USAGE}`)
+    return 1
+  }
+  if (fileModes.length > 1) {
+    console.error(`error: --${fileModes[0]} cannot be combined with --${fileModes[1]}\n\n${USAGE}`)
+    return 1
+  }
+  const readsFile = fileModes.length > 0
+  if ((readsFile && positionals.length > 1) || (!readsFile && positionals.length === 0 && process.stdin.isTTY)) {
+    console.error(USAGE)
+    return 1
+  }
+
+  try {
+    if (values.crontab) return printCrontab(readInput(positionals[0]), values)
+    if (readsFile) {
+      const { parse, label } = SCHEDULE_FILES[fileModes[0]]
+      const schedules = parse(readInput(positionals[0]), { year: values.year ?? '*', strict: values.strict ?? false, seed: values.seed })
+      return printSchedules(schedules, label, values)
+    }
+
+    // An unquoted expression arrives as several arguments
+    if (positionals.length > 0) return printExpressions([{ input: positionals.join(' ') }], values)
+
+    const lines = readInput().split(/\r?\n/)
+      .map((input, index) => ({ input, line: index + 1 }))
+      .filter(({ input }) => input.trim() !== '')
+    return printExpressions(lines, values)
+  } catch (error) {
+    console.error(`error: ${error.message}`)
+    return 1
+  }
+}
+
+/**
+ * Converts expressions and prints one result per expression
+ *
+ * Text output prints the converted expression on stdout and warnings and errors on stderr.
+ * JSON output prints one object per line with the input and either the result or the error.
+ *
+ * @param {{input: string, line?: number}[]} inputs - Expressions to convert, with their stdin line numbers
+ * @param {{year?: string, strict?: boolean, seed?: string, reverse?: boolean, json?: boolean}} values - Parsed command line options
+ * @returns {number} Exit code: 1 if any expression could not be converted
+ */
+function printExpressions(inputs, values) {
+  let failed = false
+
+  inputs.forEach(({ input, line }) => {
+    const prefix = line === undefined ? '' : `line ${line}: `
+    try {
+      const result = values.reverse
+        ? { expression: convertAwsToUnixCron(input) }
+        : convertDetailed(input, { year: values.year ?? '*', strict: values.strict ?? false, seed: values.seed })
+
+      if (values.json) {
+        console.log(JSON.stringify({ input, ...result }))
+      } else {
+        result.warnings?.forEach(warning => console.error(`${prefix}warning: ${warning.message}`))
+        console.log(result.expression)
+      }
+    } catch (error) {
+      failed = true
+      if (values.json) {
+        console.log(JSON.stringify({ input, error: error.message }))
+      } else {
+        console.error(`${prefix}error: ${error.message}`)
+      }
+    }
+  })
+
+  return failed ? 1 : 0
+}
+
+/**
+ * Reads a file, or stdin when no file or - is given
+ *
+ * @param {string} [file] - Path of the file to read
+ * @returns {string} File contents
+ */
+function readInput(file) {
+  return readFileSync(file === undefined || file === '-' ? 0 : file, 'utf8')
+}
+
+/**
+ * Converts a crontab and prints one line per expression: line number, expression and command.
+ * A job that needs several AWS expressions gets one line for each
+ *
+ * @param {string} crontab - Crontab file contents
+ * @param {{system?: boolean, year?: string, strict?: boolean, seed?: string, json?: boolean}} values - Parsed command line options
+ * @returns {number} Exit code: 1 if any job could not be converted
+ */
+function printCrontab(crontab, values) {
+  const entries = parseCrontab(crontab, { format: values.system ? 'system' : 'user', year: values.year ?? '*', strict: values.strict ?? false, seed: values.seed })
+
+  if (values.json) {
+    console.log(JSON.stringify(entries, null, 2))
+  } else {
+    for (const entry of entries) {
+      entry.warnings.forEach(warning => console.error(`line ${entry.line}: warning: ${warning.message}`))
+      if (entry.error) {
+        console.error(`line ${entry.line}: error: ${entry.error}`)
+      } else {
+        entry.expressions.forEach(expression => console.log(`${entry.line}\t${expression}\t${entry.command}`))
+      }
+    }
+  }
+
+  return entries.some(entry => entry.error) ? 1 : 0
+}
+
+/**
+ * Prints converted schedules (Kubernetes CronJobs, GitHub or GitLab schedules), one line per
+ * expression: the schedule's label and the expression. Schedules with several expressions
+ * (Kubernetes CronJobs that need more than one rule) get one line for each
+ *
+ * @param {{expression: string|null, expressions?: string[], warnings: {message: string}[], error: string|null}[]} schedules - Converted schedules
+ * @param {(schedule: Object) => string} label - Names a schedule in the output
+ * @param {{json?: boolean}} values - Parsed command line options
+ * @returns {number} Exit code: 1 if any schedule could not be converted
+ */
+function printSchedules(schedules, label, values) {
+  if (values.json) {
+    console.log(JSON.stringify(schedules, null, 2))
+  } else {
+    for (const schedule of schedules) {
+      const name = label(schedule)
+      schedule.warnings.forEach(warning => console.error(`${name}: warning: ${warning.message}`))
+      if (schedule.error) {
+        console.error(`${name}: error: ${schedule.error}`)
+      } else {
+        const expressions = schedule.expressions ?? [schedule.expression]
+        expressions.forEach(expression => console.log(`${name}\t${expression}`))
+      }
+    }
+  }
+
+  return schedules.some(schedule => schedule.error) ? 1 : 0
+}
+
+process.exitCode = main(process.argv.slice(2))
@@ -0,0 +1,334 @@
+/**
+ * Unix crontab fields. Every field is a string, as in the crontab itself
+ */
+export interface CronObject {
+  /** Minute field (0-59, *, ranges, lists, intervals) */
+  minute: string
+  /** Hour field (0-23, *, ranges, lists, intervals) */
+  hour: string
+  /** Day of month field (1-31, *, ranges, lists, intervals) */
+  dayOfMonth: string
+  /** Month field (1-12, *, ranges, lists, intervals) */
+  month: string
+  /** Day of week field (0-7, *, ranges, lists, intervals) */
+  dayOfWeek: string
+  /** Optional year field (overrides the year option) */
+  year?: string
+}
+
+/** Unix cron input: a 5-field string, a nickname such as @daily, or a CronObject */
+export type CronInput = string | CronObject
+
+/** AWS year field: '*', a year such as 2025, or a year expression such as '2024-2026' */
+export type Year = string | number
+
+/** An AWS cron() expression with six fields */
+export type CronExpression = `cron(${string} ${string} ${string} ${string} ${string} ${string})`
+
+/** An AWS rate() expression */
+export type RateExpression = `rate(${number} ${'minute' | 'minutes' | 'hour' | 'hours' | 'day' | 'days'})`
+
+/** An EventBridge Scheduler one-time at() expression */
+export type AtExpression = `at(${number}-${number}-${number}T${number}:${number}:${number})`
+
+declare const awsCronExpression: unique symbol
+
+/**
+ * A cron() or rate() expression produced by this package. The brand keeps arbitrary strings
+ * from being passed off as converted expressions
+ */
+export type AwsCronExpression = (CronExpression | RateExpression) & { readonly [awsCronExpression]: true }
+
+export interface ConvertOptions {
+  /** Year field for AWS (default: '*' for all years) */
+  year?: Year
+  /** Wrap the fields in cron(); rate() expressions are always wrapped (default: true) */
+  wrap?: boolean
+  /** Day field to keep when both are restricted, or 'error' to throw a LossyConversionError (default: 'dayOfWeek') */
+  dayConflict?: 'dayOfWeek' | 'dayOfMonth' | 'error'
+  /** Output months and days of week as AWS numbers or names (default: 'numbers') */
+  nameStyle?: 'numbers' | 'names'
+  /** Output rate() instead of cron() when the schedule is a fixed interval (default: false) */
+  rate?: boolean
+  /** IANA timezone the Unix schedule is written in; the output is shifted to UTC */
+  timezone?: string
+  /** Throw a LossyConversionError instead of warning, and never use rate() (default: false) */
+  strict?: boolean
+  /** String input format: 5 Unix fields, a leading seconds field, or a trailing year field (default: 'unix') */
+  dialect?: 'unix' | 'seconds' | 'year'
+  /** Accept AWS day extensions: L, LW and nW in day-of-month; L, nL and n#k in day-of-week (default: false) */
+  awsExtensions?: boolean
+  /** Seed for Jenkins H, H(a-b) and H/n tokens, such as the job name; the same seed always picks the same values, and both day fields must match as in Jenkins */
+  seed?: string
+}
+
+/** Options that keep the cron() wrapper */
+export type WrappedOptions = ConvertOptions & { wrap?: true }
+
+/** Options that return the bare AWS fields */
+export type UnwrappedOptions = ConvertOptions & { wrap: false }
+
+/** Codes of the warnings reported in ConversionResult.warnings */
+export declare const WARNING_CODES: Readonly<{
+  /** Both day fields were restricted and day-of-month was dropped */
+  DAY_FIELD_CONFLICT: 'DAY_FIELD_CONFLICT'
+  /** The object year property was used instead of the year parameter */
+  YEAR_OVERRIDDEN: 'YEAR_OVERRIDDEN'
+  /** Daylight saving time makes the UTC schedule drift from local time */
+  DST_DRIFT: 'DST_DRIFT'
+  /** Runs near the year boundary move into another year in UTC */
+  YEAR_BOUNDARY: 'YEAR_BOUNDARY'
+  /** rate() counts from when the rule is created instead of the minutes and hours of the schedule */
+  RATE_ANCHOR: 'RATE_ANCHOR'
+}>
+
+export type WarningCode = typeof WARNING_CODES[keyof typeof WARNING_CODES]
+
+export interface ConversionWarning {
+  /** Stable warning code */
+  code: WarningCode
+  /** CronObject field the warning is about */
+  field: keyof CronObject
+  /** Human-readable explanation */
+  message: string
+}
+
+/** The six AWS cron fields */
+export interface AwsCronFields {
+  minute: string
+  hour: string
+  dayOfMonth: string
+  month: string
+  dayOfWeek: string
+  year: string
+}
+
+export interface ConversionResult<Expression extends string = AwsCronExpression> {
+  /** AWS EventBridge cron() or rate() expression */
+  expression: Expression
+  /** The six AWS cron fields, or null for rate() expressions */
+  fields: AwsCronFields | null
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Whether the expression runs at exactly the same times as the input */
+  exact: boolean
+}
+
+export interface ConversionSetResult<Expression extends string = AwsCronExpression> {
+  /** AWS EventBridge cron() or rate() expressions that together match the input */
+  expressions: Expression[]
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Whether the expressions run at exactly the same times as the input */
+  exact: boolean
+}
+
+/**
+ * Thrown in strict mode when the output would not run at exactly the times the input describes
+ */
+export declare class LossyConversionError extends Error {
+  constructor(warnings: ConversionWarning[])
+  name: 'LossyConversionError'
+  /** Code of the first warning */
+  code: WarningCode
+  /** CronObject field of the first warning */
+  field: keyof CronObject
+  /** Every warning raised by the conversion */
+  warnings: ConversionWarning[]
+}
+
+/**
+ * Converts a standard Unix crontab expression to AWS EventBridge cron format
+ */
+declare function convertUnixToAwsCron(input: CronInput, options?: WrappedOptions): AwsCronExpression
+declare function convertUnixToAwsCron(input: CronInput, options: UnwrappedOptions): string
+declare function convertUnixToAwsCron(input: CronInput, options: ConvertOptions): AwsCronExpression | string
+declare function convertUnixToAwsCron(input: CronInput, year?: Year, options?: Omit<WrappedOptions, 'year'>): AwsCronExpression
+declare function convertUnixToAwsCron(input: CronInput, year: Year, options: Omit<UnwrappedOptions, 'year'>): string
+export default convertUnixToAwsCron
+
+/**
+ * Converts a Unix crontab expression and returns the decisions made along the way
+ */
+export declare function convertDetailed(input: CronInput, options?: WrappedOptions): ConversionResult
+export declare function convertDetailed(input: CronInput, options: UnwrappedOptions): ConversionResult<string>
+export declare function convertDetailed(input: CronInput, options: ConvertOptions): ConversionResult<AwsCronExpression | string>
+export declare function convertDetailed(input: CronInput, year?: Year, options?: Omit<WrappedOptions, 'year'>): ConversionResult
+export declare function convertDetailed(input: CronInput, year: Year, options: Omit<UnwrappedOptions, 'year'>): ConversionResult<string>
+
+/**
+ * Converts a Unix crontab expression to the set of AWS expressions that together match it,
+ * splitting schedules that restrict both day fields
+ */
+export declare function convertUnixToAwsCronSet(input: CronInput, options?: WrappedOptions): AwsCronExpression[]
+export declare function convertUnixToAwsCronSet(input: CronInput, options: UnwrappedOptions): string[]
+export declare function convertUnixToAwsCronSet(input: CronInput, options: ConvertOptions): (AwsCronExpression | string)[]
+export declare function convertUnixToAwsCronSet(input: CronInput, year?: Year, options?: Omit<WrappedOptions, 'year'>): AwsCronExpression[]
+export declare function convertUnixToAwsCronSet(input: CronInput, year: Year, options: Omit<UnwrappedOptions, 'year'>): string[]
+
+/**
+ * Converts a Unix crontab expression to the set of AWS expressions that together match it,
+ * returning the warnings instead of logging them
+ */
+export declare function convertDetailedSet(input: CronInput, options?: WrappedOptions): ConversionSetResult
+export declare function convertDetailedSet(input: CronInput, options: UnwrappedOptions): ConversionSetResult<string>
+export declare function convertDetailedSet(input: CronInput, options: ConvertOptions): ConversionSetResult<AwsCronExpression | string>
+export declare function convertDetailedSet(input: CronInput, year?: Year, options?: Omit<WrappedOptions, 'year'>): ConversionSetResult
+export declare function convertDetailedSet(input: CronInput, year: Year, options: Omit<UnwrappedOptions, 'year'>): ConversionSetResult<string>
+
+export interface SchedulerExpression {
+  /** EventBridge Scheduler cron(), rate() or at() expression */
+  ScheduleExpression: AwsCronExpression | AtExpression
+  /** IANA timezone the expression is evaluated in */
+  ScheduleExpressionTimezone: string
+}
+
+/**
+ * Converts a Unix crontab expression (optionally prefixed with CRON_TZ=zone) for EventBridge Scheduler
+ */
+export declare function toSchedulerExpression(input: CronInput, options?: WrappedOptions): SchedulerExpression
+export declare function toSchedulerExpression(input: CronInput, year?: Year, options?: Omit<WrappedOptions, 'year'>): SchedulerExpression
+
+/**
+ * Converts an AWS EventBridge cron expression back to a 5-field Unix crontab expression
+ */
+export declare function convertAwsToUnixCron(awsCron: string): string
+
+/**
+ * Lists the next run times of a Unix or AWS cron() expression, in UTC
+ */
+export declare function getNextRuns(input: CronInput, from?: Date, count?: number): Date[]
+
+export interface VerifyOptions {
+  /** Start of the window to compare (default: now) */
+  from?: Date
+  /** Length of the window in whole years (default: 2) */
+  years?: number
+  /** Maximum number of divergences to report (default: 10) */
+  limit?: number
+}
+
+export interface Divergence {
+  /** Run time that only one of the schedules has */
+  time: Date
+  /** Whether the Unix schedule runs at this time */
+  unix: boolean
+  /** Whether the AWS schedule runs at this time */
+  aws: boolean
+}
+
+export interface VerifyResult {
+  exact: boolean
+  divergences: Divergence[]
+}
+
+/**
+ * Verifies that AWS cron expressions run at exactly the same times as a Unix expression
+ */
+export declare function verifyConversion(unixInput: CronInput, awsExpressions: string | string[], options?: VerifyOptions): VerifyResult
+
+export type GuardIdiom = 'lastDayOfMonth' | 'nthWeekday'
+
+export interface CrontabLine {
+  /** Unix schedule as written in the crontab */
+  schedule: string
+  /** Command to run, without any shell guard that was translated */
+  command: string
+  /** AWS EventBridge cron() or rate() expression, or null if the schedule needs several */
+  expression: string | null
+  /** All AWS EventBridge expressions that together match the schedule */
+  expressions: string[]
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Shell guard idiom that was translated, if any */
+  idiom: GuardIdiom | null
+}
+
+/**
+ * Converts a crontab line (schedule followed by a command), translating last-day and nth-weekday shell guards
+ */
+export declare function convertCrontabLine(line: string, options?: ConvertOptions): CrontabLine
+export declare function convertCrontabLine(line: string, year?: Year, options?: Omit<ConvertOptions, 'year'>): CrontabLine
+
+export interface CrontabOptions extends ConvertOptions {
+  /** User crontab, or system crontab (/etc/crontab, /etc/cron.d) with a user column (default: 'user') */
+  format?: 'user' | 'system'
+}
+
+export interface CrontabEntry {
+  /** 1-based line number in the crontab */
+  line: number
+  /** Unix schedule, or null if the line could not be split */
+  schedule: string | null
+  /** User the job runs as in a system crontab, otherwise null */
+  user: string | null
+  /** Command to run, without any shell guard that was translated */
+  command: string | null
+  /** Variables (MAILTO, SHELL, CRON_TZ...) set before the line */
+  environment: Record<string, string>
+  /** AWS EventBridge expression, or null if the line could not be converted or needs several */
+  expression: string | null
+  /** All AWS EventBridge expressions that together match the job, empty if it could not be converted */
+  expressions: string[]
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Shell guard idiom that was translated, if any */
+  idiom: GuardIdiom | null
+  /** Why the line could not be converted, or null */
+  error: string | null
+}
+
+/**
+ * Parses a whole crontab and converts every job in it
+ */
+export declare function parseCrontab(crontab: string, options?: CrontabOptions): CrontabEntry[]
+
+/**
+ * Describes an AWS expression, or a Unix expression after conversion, in English
+ */
+export declare function describeSchedule(input: CronInput, options?: ConvertOptions): string
+export declare function describeSchedule(input: CronInput, year?: Year, options?: Omit<ConvertOptions, 'year'>): string
+
+export interface TerraformOptions extends ConvertOptions {
+  /** Resource and rule name (default: 'schedule') */
+  name?: string
+  /** Rule description */
+  description?: string
+}
+
+/**
+ * Builds a Terraform aws_cloudwatch_event_rule resource for a Unix expression
+ */
+export declare function toTerraform(input: CronInput, options?: TerraformOptions): string
+
+export interface CloudFormationOptions extends ConvertOptions {
+  /** Logical ID of the resource (default: 'Schedule') */
+  logicalId?: string
+  /** AWS::Events::Rule or AWS::Scheduler::Schedule (default: 'rule') */
+  resource?: 'rule' | 'scheduler'
+  /** Output format (default: 'json') */
+  format?: 'json' | 'yaml'
+  /** Resource description */
+  description?: string
+}
+
+/**
+ * Builds a CloudFormation AWS::Events::Rule or AWS::Scheduler::Schedule resource for a Unix expression
+ */
+export declare function toCloudFormation(input: CronInput, options?: CloudFormationOptions): string
+
+/** Options for CDK's Schedule.cron(); only one of day and weekDay is set */
+export interface CdkCronOptions {
+  minute?: string
+  hour?: string
+  day?: string
+  month?: string
+  weekDay?: string
+  year?: string
+}
+
+/**
+ * Builds the options for CDK's Schedule.cron() from a Unix expression
+ */
+export declare function toCdkCronOptions(input: CronInput, options?: ConvertOptions): CdkCronOptions
+export declare function toCdkCronOptions(input: CronInput, year?: Year, options?: Omit<ConvertOptions, 'year'>): CdkCronOptions
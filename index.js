@@ -1,3 +1,5 @@
+import { createHash } from 'node:crypto'
+
 /**
  * @typedef {Object} CronObject
  * @property {string} minute - Minute field (0-59, *, ranges, lists, intervals)
@@ -8,20 +10,800 @@
  * @property {string} [year] - Optional year field (overrides second parameter)
  */
 
+/**
+ * @typedef {Object} ConvertOptions
+ * @property {string|number} [year='*'] - Year field for AWS (default: '*' for all years)
+ * @property {boolean} [wrap=true] - Wrap the fields in cron(); rate() expressions are always wrapped
+ * @property {'dayOfWeek'|'dayOfMonth'|'error'} [dayConflict='dayOfWeek'] - Day field to keep when both are restricted, or 'error' to throw a LossyConversionError
+ * @property {'numbers'|'names'} [nameStyle='numbers'] - Output months and days of week as AWS numbers (1-12, 1-7) or names (JAN-DEC, SUN-SAT)
+ * @property {boolean} [rate=false] - Output rate() instead of cron() when the schedule is a fixed interval
+ * @property {string} [timezone] - IANA timezone the Unix schedule is written in; the output is shifted to UTC
+ * @property {boolean} [strict=false] - Throw a LossyConversionError instead of warning, and never use rate()
+ * @property {'unix'|'seconds'|'year'} [dialect='unix'] - String input format: 5 Unix fields, a leading seconds field, or a trailing year field
+ * @property {boolean} [awsExtensions=false] - Accept AWS day extensions: L, LW and nW in day-of-month; L, nL and n#k in day-of-week
+ * @property {string} [seed] - Seed for Jenkins H, H(a-b) and H/n tokens, such as the job name; the same seed always picks the same values, and both day fields must match as in Jenkins
+ */
+
+/**
+ * @typedef {Object} ConversionWarning
+ * @property {string} code - Stable warning code from WARNING_CODES
+ * @property {string} field - CronObject field the warning is about
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * @typedef {Object} ConversionResult
+ * @property {string} expression - AWS EventBridge cron() or rate() expression
+ * @property {{minute: string, hour: string, dayOfMonth: string, month: string, dayOfWeek: string, year: string}|null} fields - The six AWS cron fields, or null for rate() expressions
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {boolean} exact - Whether the expression runs at exactly the same times as the input
+ */
+
+/**
+ * @typedef {Object} ConversionSetResult
+ * @property {string[]} expressions - AWS EventBridge expressions that together match the input
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {boolean} exact - Whether the expressions run at exactly the same times as the input
+ */
+
+/**
+ * @typedef {ConvertOptions & {union: boolean, warnings: ConversionWarning[], dayFieldUnion?: boolean}} ProcessOptions
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} name - Field name used in error messages
+ * @property {number} min - Lowest allowed value
+ * @property {number} max - Highest allowed value
+ * @property {string[]} [names] - Three-letter names accepted in place of numbers, indexed by value
+ */
+
+/**
+ * @typedef {Object} FieldToken
+ * @property {'wildcard'|'value'|'range'|'extension'} type - Token kind ('*', 'n', 'n-m' or an AWS extension such as 'L' or '2#1')
+ * @property {number|null} start - First value covered by the token (null for a bare 'L' or 'LW')
+ * @property {number|null} end - Last value covered by the token (null for a bare 'L' or 'LW')
+ * @property {number} step - Step between values (1 when no step is given)
+ * @property {'L'|'W'|'LW'|'#'} [modifier] - AWS extension of an 'extension' token
+ * @property {number} [nth] - Week of the month for a '#' token (1-5)
+ * @property {boolean} [hashed] - Whether the token is a Jenkins H token resolved from the seed
+ * @property {string} text - Token as written in the expression
+ * @property {number} position - 1-based character position of the token
+ */
+
+/**
+ * @typedef {Object} Schedule
+ * @property {number[]} minutes - Minutes of the hour the schedule runs at, ascending
+ * @property {number[]} hours - Hours of the day the schedule runs at, ascending
+ * @property {(date: Date) => boolean} matchesDay - Whether the schedule runs on the UTC day of a date
+ */
+
+const MONTH_NAMES = ['', 'JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const UNIX_DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+const AWS_DAY_NAMES = ['', ...UNIX_DAY_NAMES]
+const MONTH_FULL_NAMES = ['', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const AWS_DAY_FULL_NAMES = ['', 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth']
+const NAME_STYLES = ['numbers', 'names']
+const DAY_CONFLICT_POLICIES = ['dayOfWeek', 'dayOfMonth', 'error']
+const INPUT_DIALECTS = ['unix', 'seconds', 'year']
+const CRONTAB_FORMATS = ['user', 'system']
+const CLOUDFORMATION_RESOURCES = ['rule', 'scheduler']
+const CLOUDFORMATION_FORMATS = ['json', 'yaml']
+// Jenkins keeps H days of month to 1-28 so the job runs every month, and H days of week to 0-6
+const HASH_BOUNDS = {
+  'day-of-month': { min: 1, max: 28 },
+  'day-of-week': { min: 0, max: 6 }
+}
+
+/** Crontab nicknames and the 5-field schedules they stand for */
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+}
+
+/** `date` arguments that print the day of the month of tomorrow, in either order */
+const DATE_DAY = `["']?\\+\\\\?%d["']?`
+const DATE_TOMORROW = `(?:-d\\s*|--date[= ])["']?(?:tomorrow|\\+1 ?days?)["']?`
+
+/**
+ * Shell guards that crontabs put in front of a command to run on days Unix cron cannot select.
+ * toDays receives the expanded day-of-month field and the guard's named groups, and returns the
+ * AWS-extended day fields, or null when the schedule and guard together mean something else
+ */
+const GUARD_IDIOMS = [
+  {
+    // 0 0 28-31 * * [ "$(date +\%d -d tomorrow)" = "01" ] && command
+    name: 'lastDayOfMonth',
+    pattern: createGuardPattern(`(?:${DATE_DAY}\\s+${DATE_TOMORROW}|${DATE_TOMORROW}\\s+${DATE_DAY})`, '0?1'),
+    toDays(daysOfMonth) {
+      return [28, 29, 30, 31].every(day => daysOfMonth.includes(day)) ? { dayOfMonth: 'L', dayOfWeek: '*' } : null
+    }
+  },
+  {
+    // 0 9 8-14 * * [ "$(date +\%u)" = "2" ] && command
+    name: 'nthWeekday',
+    pattern: createGuardPattern(`["']?\\+\\\\?%(?<format>[uw])["']?`, '(?<weekday>[0-7])'),
+    toDays(daysOfMonth, { format, weekday }) {
+      const first = daysOfMonth[0]
+      const week = Array.from({ length: Math.min(7, 32 - first) }, (_, index) => first + index)
+      const day = parseInt(weekday, 10)
+      // %u counts 1-7 from Monday, %w counts 0-6 from Sunday
+      if ((first - 1) % 7 !== 0 || daysOfMonth.join() !== week.join() || day === (format === 'u' ? 0 : 7)) return null
+      return { dayOfMonth: '*', dayOfWeek: `${day % 7}#${(first - 1) / 7 + 1}` }
+    }
+  }
+]
+
+/** @type {FieldSpec[]} */
+const UNIX_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { name: 'day-of-week', min: 0, max: 7, names: UNIX_DAY_NAMES }
+]
+
+/** @type {FieldSpec[]} */
+const AWS_FIELDS = [
+  ...UNIX_FIELDS.slice(0, 4),
+  { name: 'day-of-week', min: 1, max: 7, names: AWS_DAY_NAMES },
+  { name: 'year', min: 1970, max: 2199 }
+]
+
+/** Codes of the warnings reported in ConversionResult.warnings */
+export const WARNING_CODES = Object.freeze({
+  /** Both day fields were restricted and day-of-month was dropped */
+  DAY_FIELD_CONFLICT: 'DAY_FIELD_CONFLICT',
+  /** The object year property was used instead of the year parameter */
+  YEAR_OVERRIDDEN: 'YEAR_OVERRIDDEN',
+  /** Daylight saving time makes the UTC schedule drift from local time */
+  DST_DRIFT: 'DST_DRIFT',
+  /** Runs near the year boundary move into another year in UTC */
+  YEAR_BOUNDARY: 'YEAR_BOUNDARY',
+  /** rate() counts from when the rule is created instead of the minutes and hours of the schedule */
+  RATE_ANCHOR: 'RATE_ANCHOR'
+})
+
+/**
+ * Thrown in strict mode when the output would not run at exactly the times the input describes
+ */
+export class LossyConversionError extends Error {
+  /**
+   * @param {ConversionWarning[]} warnings - Every warning raised by the conversion
+   */
+  constructor(warnings) {
+    super(`Conversion is not exact: ${warnings.map(warning => warning.message).join(' ')}`)
+    this.name = 'LossyConversionError'
+    /** Code of the first warning, from WARNING_CODES */
+    this.code = warnings[0].code
+    /** CronObject field of the first warning */
+    this.field = warnings[0].field
+    /** Every warning raised by the conversion */
+    this.warnings = warnings
+  }
+}
+
+/** Warnings after which the output no longer runs at the same times as the input */
+const LOSSY_WARNINGS = new Set([
+  WARNING_CODES.DAY_FIELD_CONFLICT,
+  WARNING_CODES.DST_DRIFT,
+  WARNING_CODES.YEAR_BOUNDARY,
+  WARNING_CODES.RATE_ANCHOR
+])
+
 /**
  * Converts a standard Unix crontab expression to AWS EventBridge cron format
  * 
  * @param {string|CronObject} input - Unix cron string or object with cron fields
- * @param {string|number} [year='*'] - Year field for AWS (default: '*' for all years)
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
  * @returns {string} AWS EventBridge compatible cron expression
  * @throws {Error} If the input cron expression is invalid
+ * @throws {LossyConversionError} In strict mode, if the expression would not match the input exactly
+ */
+export default function convertUnixToAwsCron(input, yearOrOptions = '*', options = {}) {
+  const { expression, warnings } = convertDetailed(input, yearOrOptions, options)
+  warnings.forEach(warning => console.warn(warning.message))
+  return expression
+}
+
+/**
+ * Converts a Unix crontab expression to AWS EventBridge cron format and reports
+ * every lossy or notable decision as a warning instead of logging it
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {ConversionResult} Expression, its fields and the warnings raised while converting
+ * @throws {Error} If the input cron expression is invalid
+ * @throws {LossyConversionError} In strict mode, if any warning was raised
+ */
+export function convertDetailed(input, yearOrOptions = '*', options = {}) {
+  const resolved = resolveOptions(yearOrOptions, options)
+  const warnings = []
+  const expressions = convertInput(input, resolved.year, { ...resolved, union: false, warnings })
+  assertExact(warnings, resolved)
+
+  // Shifting to UTC can move some runs to another day, which needs a rule of its own
+  if (expressions.length > 1) {
+    throw new Error(`Schedule needs ${expressions.length} AWS expressions in UTC (${expressions.join(', ')}). Use convertUnixToAwsCronSet to get all of them`)
+  }
+
+  const [expression] = expressions
+  return {
+    expression,
+    fields: expression.startsWith('rate(') ? null : toAwsFieldObject(expression),
+    warnings,
+    exact: !warnings.some(warning => LOSSY_WARNINGS.has(warning.code))
+  }
+}
+
+/**
+ * @typedef {Object} SchedulerExpression
+ * @property {string} ScheduleExpression - EventBridge Scheduler cron(), rate() or at() expression
+ * @property {string} ScheduleExpressionTimezone - IANA timezone the expression is evaluated in
+ */
+
+/**
+ * Converts a Unix crontab expression for EventBridge Scheduler, which evaluates schedules
+ * in a timezone of its own instead of UTC
+ *
+ * The timezone comes from options.timezone or a CRON_TZ= prefix on the expression, and is
+ * returned as ScheduleExpressionTimezone instead of being used to shift the schedule to UTC.
+ * Schedules pinned to a single minute, hour, day, month and year become one-time at() expressions.
+ *
+ * @param {string|CronObject} input - Unix cron string (optionally prefixed with CRON_TZ=zone) or object with cron fields
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {SchedulerExpression} Scheduler expression and timezone (UTC when none is given)
+ * @throws {Error} If the input is invalid, the timezone is unknown or the pinned date does not exist
+ * @throws {LossyConversionError} In strict mode, if the expression would not match the input exactly
+ */
+export function toSchedulerExpression(input, yearOrOptions = '*', options = {}) {
+  const resolved = resolveOptions(yearOrOptions, options)
+  let timeZone = resolved.timezone
+  let schedule = input
+
+  const prefix = typeof input === 'string' && input.match(/^\s*CRON_TZ=(\S+)\s+(.*)$/)
+  if (prefix) {
+    if (timeZone !== undefined && timeZone !== prefix[1]) {
+      throw new Error(`CRON_TZ=${prefix[1]} conflicts with timezone option "${timeZone}"`)
+    }
+    timeZone = prefix[1]
+    schedule = prefix[2]
+  }
+
+  timeZone ??= 'UTC'
+  // Fails for unknown timezones
+  getTimezoneOffset(timeZone, 0)
+
+  // Scheduler applies the timezone itself, so the schedule is converted as written
+  const { expression, fields, warnings } = convertDetailed(schedule, { ...resolved, timezone: undefined })
+  warnings.forEach(warning => console.warn(warning.message))
+
+  return {
+    ScheduleExpression: (fields && toAtExpression(fields)) ?? expression,
+    ScheduleExpressionTimezone: timeZone
+  }
+}
+
+/**
+ * Converts a Unix crontab expression to the set of AWS EventBridge cron expressions
+ * whose combined schedule matches the Unix schedule.
+ *
+ * Unix cron fires when either day field matches if both day-of-month and day-of-week
+ * are restricted, while AWS only allows one of them per expression. In that case one
+ * expression is returned for each day field. Shifting a schedule from a local timezone
+ * to UTC can also need more than one expression when only some runs move to another day.
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {string[]} AWS EventBridge compatible cron expressions
+ * @throws {Error} If the input cron expression is invalid
+ * @throws {LossyConversionError} In strict mode, if the expressions would not match the input exactly
+ */
+export function convertUnixToAwsCronSet(input, yearOrOptions = '*', options = {}) {
+  const { expressions, warnings } = convertDetailedSet(input, yearOrOptions, options)
+  warnings.forEach(warning => console.warn(warning.message))
+  return expressions
+}
+
+/**
+ * Converts a Unix crontab expression to the set of AWS expressions that together match it,
+ * like convertUnixToAwsCronSet, and reports the warnings instead of logging them
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {ConversionSetResult} Expressions and the warnings raised while converting
+ * @throws {Error} If the input cron expression is invalid
+ * @throws {LossyConversionError} In strict mode, if any warning was raised
+ */
+export function convertDetailedSet(input, yearOrOptions = '*', options = {}) {
+  const resolved = resolveOptions(yearOrOptions, options)
+  const warnings = []
+  const expressions = convertInput(input, resolved.year, { ...resolved, union: true, warnings })
+  assertExact(warnings, resolved)
+  return {
+    expressions,
+    warnings,
+    exact: !warnings.some(warning => LOSSY_WARNINGS.has(warning.code))
+  }
+}
+
+/**
+ * Converts an AWS EventBridge cron expression back to a standard Unix crontab expression
+ *
+ * Undoes the day-of-week shift (AWS 1-7 → Unix 0-6) and turns '?' back into '*'.
+ * Accepts the expression with or without the cron() wrapper.
+ *
+ * @param {string} awsCron - AWS EventBridge cron expression, e.g. 'cron(30 9 ? * 2-6 *)'
+ * @returns {string} 5-field Unix cron expression
+ * @throws {Error} If the expression is invalid or uses features Unix cron cannot express (L, W, #, a restricted year)
+ */
+export function convertAwsToUnixCron(awsCron) {
+  if (typeof awsCron !== 'string') {
+    throw new Error('AWS cron expression must be a string')
+  }
+
+  const fields = parseAwsFields(awsCron)
+  assertAwsDayFields(fields)
+  const [minute, hour, dayOfMonth, month, dayOfWeek, year] = fields.map(field => field.text)
+
+  // AWS-only wildcards have no Unix equivalent
+  if (/[LW]/i.test(dayOfMonth)) {
+    throw new Error(`AWS day-of-month "${dayOfMonth}" uses L or W (last day / nearest weekday), which Unix cron cannot express`)
+  }
+  if (/[L#]/i.test(dayOfWeek)) {
+    throw new Error(`AWS day-of-week "${dayOfWeek}" uses L or # (last / nth weekday of the month), which Unix cron cannot express`)
+  }
+  if (year !== '*') {
+    throw new Error(`AWS year "${year}" restricts the schedule to specific years, which Unix cron cannot express`)
+  }
+
+  const tokens = parseAwsTokens(fields)
+
+  const unixDayOfMonth = dayOfMonth === '?' ? '*' : dayOfMonth
+  const unixDayOfWeek = tokens[4] ? convertAwsDayOfWeek(tokens[4]) : '*'
+
+  return `${minute} ${hour} ${unixDayOfMonth} ${month} ${unixDayOfWeek}`
+}
+
+/**
+ * Calculates the next run times of a Unix or AWS EventBridge cron expression
+ *
+ * Unix input (string, nickname or CronObject) follows Vixie cron rules. AWS input must use
+ * the cron() wrapper and follows EventBridge rules, including '?' and the year field.
+ * All times are evaluated in UTC, which is what EventBridge uses.
+ *
+ * @param {string|CronObject} input - Unix cron expression, CronObject or AWS cron() expression
+ * @param {Date} [from=new Date()] - Only runs strictly after this time are returned
+ * @param {number} [count=1] - Number of runs to return
+ * @returns {Date[]} Up to count run times, fewer if the schedule ends before year 2199
+ * @throws {Error} If the expression is invalid
+ */
+export function getNextRuns(input, from = new Date(), count = 1) {
+  if (!(from instanceof Date) || isNaN(from.getTime())) {
+    throw new Error('Start date must be a valid Date')
+  }
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Count must be a positive integer')
+  }
+
+  const runs = []
+  for (const run of generateRuns(createSchedule(input), from)) {
+    runs.push(run)
+    if (runs.length === count) break
+  }
+  return runs
+}
+
+/**
+ * @typedef {Object} VerifyOptions
+ * @property {Date} [from=new Date()] - Start of the window to compare
+ * @property {number} [years=2] - Length of the window in whole years
+ * @property {number} [limit=10] - Maximum number of divergences to report
+ */
+
+/**
+ * @typedef {Object} Divergence
+ * @property {Date} time - Run time that only one of the schedules has
+ * @property {boolean} unix - Whether the Unix schedule runs at this time
+ * @property {boolean} aws - Whether the AWS schedule runs at this time
+ */
+
+/**
+ * Verifies that AWS cron expressions run at exactly the same times as a Unix expression
+ *
+ * Enumerates the run times of both schedules in UTC over a window and reports the first
+ * times at which only one of them runs. Several AWS expressions, such as the result of
+ * convertUnixToAwsCronSet, are treated as one combined schedule.
+ *
+ * @param {string|CronObject} unixInput - Original Unix cron expression or CronObject
+ * @param {string|string[]} awsExpressions - AWS cron() expression or expressions to compare against
+ * @param {VerifyOptions} [options] - Window and reporting options
+ * @returns {{exact: boolean, divergences: Divergence[]}} Whether the schedules match, and where they differ
+ * @throws {Error} If an expression is invalid
+ */
+export function verifyConversion(unixInput, awsExpressions, options = {}) {
+  const { from = new Date(), years = 2, limit = 10 } = options
+  if (!(from instanceof Date) || isNaN(from.getTime())) {
+    throw new Error('Start date must be a valid Date')
+  }
+  if (!Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer')
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Limit must be a positive integer')
+  }
+
+  const awsSchedules = [].concat(awsExpressions).map(awsCron => {
+    if (typeof awsCron !== 'string' || !/^\s*cron\(/.test(awsCron)) {
+      throw new Error(`Expected AWS cron() expressions to verify, received: ${awsCron}`)
+    }
+    return createAwsSchedule(awsCron)
+  })
+
+  const until = new Date(from)
+  until.setUTCFullYear(until.getUTCFullYear() + years)
+
+  const unixRuns = generateRuns(createSchedule(unixInput), from)
+  const awsRuns = mergeRuns(awsSchedules.map(schedule => generateRuns(schedule, from)))
+  const nextTime = (runs) => {
+    const { done, value } = runs.next()
+    return done || value >= until ? Infinity : value.getTime()
+  }
+
+  const divergences = []
+  let unixTime = nextTime(unixRuns)
+  let awsTime = nextTime(awsRuns)
+
+  while ((unixTime !== Infinity || awsTime !== Infinity) && divergences.length < limit) {
+    if (unixTime === awsTime) {
+      unixTime = nextTime(unixRuns)
+      awsTime = nextTime(awsRuns)
+    } else if (unixTime < awsTime) {
+      divergences.push({ time: new Date(unixTime), unix: true, aws: false })
+      unixTime = nextTime(unixRuns)
+    } else {
+      divergences.push({ time: new Date(awsTime), unix: false, aws: true })
+      awsTime = nextTime(awsRuns)
+    }
+  }
+
+  // Stop the generators, which would otherwise run on to year 2199
+  unixRuns.return()
+  awsRuns.return()
+
+  return { exact: divergences.length === 0, divergences }
+}
+
+/**
+ * @typedef {Object} CrontabLine
+ * @property {string} schedule - Unix schedule as written in the crontab
+ * @property {string} command - Command to run, without any shell guard that was translated
+ * @property {string|null} expression - AWS EventBridge cron() or rate() expression, or null if the schedule needs several
+ * @property {string[]} expressions - All AWS EventBridge expressions that together match the schedule
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {'lastDayOfMonth'|'nthWeekday'|null} idiom - Shell guard idiom that was translated, if any
+ */
+
+/**
+ * Converts a crontab line (schedule followed by a command) to AWS EventBridge cron format
+ *
+ * Recognizes shell guards that crontabs use for days Unix cron cannot select, and moves them into
+ * the expression with the AWS L and # extensions:
+ * - `0 0 28-31 * * [ "$(date +\%d -d tomorrow)" = "01" ] && command` runs on the last day of the month (L)
+ * - `0 9 8-14 * * [ "$(date +\%u)" = "2" ] && command` runs on the second Tuesday (3#2)
+ *
+ * Like convertUnixToAwsCronSet, schedules that restrict both day fields or that move partly to
+ * another day in UTC get one expression per rule.
+ *
+ * @param {string} line - Crontab line with a 5-field schedule or nickname and a command
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {CrontabLine} Schedule, command and converted expressions
+ * @throws {Error} If the line has no command or its schedule is invalid
+ * @throws {LossyConversionError} In strict mode, if the expression would not match the schedule exactly
+ */
+export function convertCrontabLine(line, yearOrOptions = '*', options = {}) {
+  if (typeof line !== 'string') {
+    throw new Error('Crontab line must be a string')
+  }
+
+  const { schedule, command } = splitCrontabLine(line)
+  return convertCrontabJob(schedule, command, resolveOptions(yearOrOptions, options))
+}
+
+/**
+ * @typedef {ConvertOptions & {format?: 'user'|'system'}} CrontabOptions - Conversion options plus the crontab format:
+ * 'user' (default) or 'system' for /etc/crontab and /etc/cron.d files, which have a user column
+ */
+
+/**
+ * @typedef {Object} CrontabEntry
+ * @property {number} line - 1-based line number in the crontab
+ * @property {string|null} schedule - Unix schedule, or null if the line could not be split
+ * @property {string|null} user - User the job runs as in a system crontab, otherwise null
+ * @property {string|null} command - Command to run, without any shell guard that was translated
+ * @property {Object<string, string>} environment - Variables (MAILTO, SHELL, CRON_TZ...) set before the line
+ * @property {string|null} expression - AWS EventBridge expression, or null if the line could not be converted or needs several
+ * @property {string[]} expressions - All AWS EventBridge expressions that together match the job, empty if it could not be converted
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {'lastDayOfMonth'|'nthWeekday'|null} idiom - Shell guard idiom that was translated, if any
+ * @property {string|null} error - Why the line could not be converted, or null
+ */
+
+/**
+ * Parses a whole crontab and converts every job in it
+ *
+ * Skips blank lines and comments, and collects variable assignments such as MAILTO=ops or
+ * CRON_TZ=Europe/Oslo into the environment of the jobs after them. CRON_TZ is also used as the
+ * timezone of those jobs. A job that cannot be converted gets an error instead of stopping the parse.
+ *
+ * @param {string} crontab - Crontab file contents
+ * @param {CrontabOptions} [options] - Crontab format and conversion options
+ * @returns {CrontabEntry[]} One entry per job, in file order
+ * @throws {Error} If the crontab is not a string or an option is invalid
+ */
+export function parseCrontab(crontab, options = {}) {
+  if (typeof crontab !== 'string') {
+    throw new Error('Crontab must be a string')
+  }
+
+  const { format = 'user', ...convertOptions } = options
+  if (!CRONTAB_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${CRONTAB_FORMATS.join(', ')}`)
+  }
+  const resolved = resolveOptions(convertOptions)
+
+  const environment = {}
+  const entries = []
+
+  crontab.split(/\r?\n/).forEach((text, index) => {
+    const trimmed = text.trim()
+    if (trimmed === '' || trimmed.startsWith('#')) return
+
+    const variable = trimmed.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/)
+    if (variable) {
+      environment[variable[1]] = variable[2].replace(/^(["'])(.*)\1$/, '$2')
+      return
+    }
+
+    const entry = { line: index + 1, schedule: null, user: null, command: null, environment: { ...environment }, expression: null, expressions: [], warnings: [], idiom: null, error: null }
+    try {
+      const job = splitCrontabLine(trimmed, format === 'system')
+      Object.assign(entry, job)
+      const timezone = environment.CRON_TZ ?? resolved.timezone
+      Object.assign(entry, convertCrontabJob(job.schedule, job.command, { ...resolved, timezone }))
+    } catch (error) {
+      entry.error = error.message
+    }
+    entries.push(entry)
+  })
+
+  return entries
+}
+
+/**
+ * Describes a schedule in English, such as "At 09:30 UTC, Monday through Friday"
+ *
+ * AWS cron(), rate() and at() expressions are described as they are. Unix input is converted
+ * first, with the same arguments as convertUnixToAwsCron, so the description always matches
+ * what EventBridge will run, including a dropped day field or a shifted timezone. When the
+ * conversion is not exact, the description ends with what differs from the Unix schedule.
+ *
+ * @param {string|CronObject} input - AWS expression, Unix cron string or object with cron fields
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS, used for Unix input
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {string} English description of the schedule
+ * @throws {Error} If the input is invalid
+ */
+export function describeSchedule(input, yearOrOptions = '*', options = {}) {
+  if (typeof input === 'string' && /^\s*rate\(/.test(input)) return describeRate(input)
+  if (typeof input === 'string' && /^\s*at\(/.test(input)) return describeAt(input)
+
+  let awsCron = input
+  let losses = []
+  if (typeof input !== 'string' || !/^\s*\w+\(/.test(input)) {
+    const resolved = { ...resolveOptions(yearOrOptions, options), rate: false, wrap: true }
+    const { expression, warnings } = convertDetailed(input, resolved)
+    awsCron = expression
+    losses = describeLosses(input, resolved, warnings)
+  }
+
+  const fields = parseAwsFields(awsCron)
+  const [minute, hour, dayOfMonth, month, dayOfWeek, year] = parseAwsTokens(fields, true)
+  assertAwsDayFields(fields)
+
+  const isEvery = (tokens) => !tokens || (tokens.length === 1 && tokens[0].type === 'wildcard' && tokens[0].step === 1)
+
+  const parts = [
+    describeTime(minute, hour),
+    !isEvery(dayOfMonth) && describeDayOfMonth(dayOfMonth),
+    !isEvery(dayOfWeek) && describeDayOfWeek(dayOfWeek),
+    !isEvery(month) && `in ${describeNames(expandTokens(month), MONTH_FULL_NAMES)}`,
+    !isEvery(year) && describeYear(year),
+    ...losses
+  ]
+  return parts.filter(Boolean).join(', ')
+}
+
+/**
+ * @typedef {ConvertOptions & {name?: string, description?: string}} TerraformOptions - Conversion options plus
+ * the resource and rule name (default: 'schedule') and an optional rule description
+ */
+
+/**
+ * Builds a Terraform aws_cloudwatch_event_rule resource for a Unix expression
+ *
+ * Lossy decisions are logged with console.warn, like the default export.
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {TerraformOptions} [options] - Resource and conversion options
+ * @returns {string} HCL resource block
+ * @throws {Error} If the input or name is invalid, or the schedule needs more than one expression
+ * @throws {LossyConversionError} In strict mode, if the expression would not match the input exactly
+ */
+export function toTerraform(input, options = {}) {
+  const { name = 'schedule', description, ...convertOptions } = options
+  if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(name)) {
+    throw new Error(`Terraform resource name must start with a letter or underscore and contain only letters, digits, underscores and dashes, received: ${name}`)
+  }
+
+  const expression = convertUnixToAwsCron(input, convertOptions)
+  const attributes = [['name', name], ['description', description], ['schedule_expression', expression]]
+    .filter(([, value]) => value !== undefined)
+  const width = Math.max(...attributes.map(([key]) => key.length))
+
+  return [
+    `resource "aws_cloudwatch_event_rule" "${name}" {`,
+    ...attributes.map(([key, value]) => `  ${key.padEnd(width)} = ${formatHclString(value)}`),
+    '}',
+    ''
+  ].join('\n')
+}
+
+/**
+ * @typedef {ConvertOptions & {logicalId?: string, resource?: 'rule'|'scheduler', format?: 'json'|'yaml', description?: string}} CloudFormationOptions -
+ * Conversion options plus the logical ID (default: 'Schedule'), the resource type ('rule' for AWS::Events::Rule,
+ * the default, or 'scheduler' for AWS::Scheduler::Schedule), the output format ('json', the default, or 'yaml')
+ * and an optional description
+ */
+
+/**
+ * Builds a CloudFormation AWS::Events::Rule or AWS::Scheduler::Schedule resource for a Unix expression
+ *
+ * Rules run in UTC, so a timezone is converted into the expression. Scheduler schedules keep the
+ * timezone (from options.timezone or a CRON_TZ= prefix) as ScheduleExpressionTimezone, and turn
+ * off the flexible time window. Targets are left for the template to add. Lossy decisions are
+ * logged with console.warn, like the default export.
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {CloudFormationOptions} [options] - Resource, format and conversion options
+ * @returns {string} JSON or YAML template fragment with the resource under its logical ID
+ * @throws {Error} If the input or an option is invalid, or a rule needs more than one expression
+ * @throws {LossyConversionError} In strict mode, if the expression would not match the input exactly
+ */
+export function toCloudFormation(input, options = {}) {
+  const { logicalId = 'Schedule', resource = 'rule', format = 'json', description, ...convertOptions } = options
+  if (!/^[A-Za-z0-9]+$/.test(logicalId)) {
+    throw new Error(`CloudFormation logical ID must be alphanumeric, received: ${logicalId}`)
+  }
+  if (!CLOUDFORMATION_RESOURCES.includes(resource)) {
+    throw new Error(`resource must be one of: ${CLOUDFORMATION_RESOURCES.join(', ')}`)
+  }
+  if (!CLOUDFORMATION_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${CLOUDFORMATION_FORMATS.join(', ')}`)
+  }
+
+  const properties = resource === 'rule'
+    ? { ...(description !== undefined && { Description: description }), ScheduleExpression: convertUnixToAwsCron(input, convertOptions), State: 'ENABLED' }
+    : { ...(description !== undefined && { Description: description }), ...toSchedulerExpression(input, convertOptions), FlexibleTimeWindow: { Mode: 'OFF' } }
+
+  const template = {
+    [logicalId]: {
+      Type: resource === 'rule' ? 'AWS::Events::Rule' : 'AWS::Scheduler::Schedule',
+      Properties: properties
+    }
+  }
+
+  return format === 'yaml' ? formatYaml(template) : `${JSON.stringify(template, null, 2)}\n`
+}
+
+/**
+ * @typedef {Object} CdkCronOptions
+ * @property {string} [minute] - Minute field
+ * @property {string} [hour] - Hour field
+ * @property {string} [day] - Day-of-month field, left out when it is '?'
+ * @property {string} [month] - Month field
+ * @property {string} [weekDay] - Day-of-week field, left out when it is '?'
+ * @property {string} [year] - Year field
+ */
+
+/**
+ * Builds the options for CDK's Schedule.cron() from a Unix expression
+ *
+ * CDK fills in '?' for the day field that is left out, so only one of day and weekDay is set.
+ * Lossy decisions are logged with console.warn, like the default export.
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {string|number|ConvertOptions} [yearOrOptions='*'] - Options, or the year field for AWS (default: '*' for all years)
+ * @param {ConvertOptions} [options] - Options when the year is passed positionally
+ * @returns {CdkCronOptions} Options for Schedule.cron()
+ * @throws {Error} If the input is invalid or the schedule needs more than one expression
+ * @throws {LossyConversionError} In strict mode, if the expression would not match the input exactly
+ */
+export function toCdkCronOptions(input, yearOrOptions = '*', options = {}) {
+  const resolved = resolveOptions(yearOrOptions, options)
+  const { fields, warnings } = convertDetailed(input, { ...resolved, rate: false })
+  warnings.forEach(warning => console.warn(warning.message))
+  const { minute, hour, dayOfMonth, month, dayOfWeek, year } = fields
+
+  return {
+    minute,
+    hour,
+    ...(dayOfMonth !== '?' && { day: dayOfMonth }),
+    month,
+    ...(dayOfWeek !== '?' && { weekDay: dayOfWeek }),
+    year
+  }
+}
+
+/**
+ * Merges the positional year and options into one options object and validates it
+ *
+ * @param {string|number|ConvertOptions} yearOrOptions - Options, or the year field for AWS
+ * @param {ConvertOptions} options - Options when the year is passed positionally
+ * @returns {ConvertOptions & {year: string|number}} Options including the year
+ * @throws {Error} If an option has an invalid value
+ */
+function resolveOptions(yearOrOptions, options) {
+  const resolved = typeof yearOrOptions === 'object' && yearOrOptions !== null
+    ? { year: '*', ...yearOrOptions }
+    : { ...options, year: yearOrOptions }
+
+  if (resolved.nameStyle !== undefined && !NAME_STYLES.includes(resolved.nameStyle)) {
+    throw new Error(`nameStyle must be one of: ${NAME_STYLES.join(', ')}`)
+  }
+  if (resolved.dayConflict !== undefined && !DAY_CONFLICT_POLICIES.includes(resolved.dayConflict)) {
+    throw new Error(`dayConflict must be one of: ${DAY_CONFLICT_POLICIES.join(', ')}`)
+  }
+  if (resolved.dialect !== undefined && !INPUT_DIALECTS.includes(resolved.dialect)) {
+    throw new Error(`dialect must be one of: ${INPUT_DIALECTS.join(', ')}`)
+  }
+  if (resolved.wrap !== undefined && typeof resolved.wrap !== 'boolean') {
+    throw new Error(`wrap must be a boolean (received ${typeof resolved.wrap})`)
+  }
+  if (resolved.seed !== undefined && typeof resolved.seed !== 'string') {
+    throw new Error(`seed must be a string (received ${typeof resolved.seed})`)
+  }
+
+  return resolved
+}
+
+/**
+ * Routes input to the string or object processor
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {string|number} year - Year field for AWS
+ * @param {ProcessOptions} options - Conversion options
+ * @returns {string[]} AWS EventBridge compatible cron expressions
  */
-export default function convertUnixToAwsCron(input, year = '*') {
+function convertInput(input, year, options) {
   // Input type detection and routing
   if (typeof input === 'string') {
-    return processStringInput(input, year)
+    const dialectInput = stripDialectField(input, year, options)
+    return processStringInput(dialectInput.unixCron, dialectInput.year, options)
   } else if (typeof input === 'object' && input !== null && !Array.isArray(input)) {
-    return processObjectInput(input, year)
+    return processObjectInput(input, year, options)
   } else {
     // Validation for invalid input types
     const inputType = input === null ? 'null' : Array.isArray(input) ? 'array' : typeof input
@@ -29,6 +811,49 @@ export default function convertUnixToAwsCron(input, year = '*') {
   }
 }
 
+/**
+ * Removes the extra field of a 6-field input dialect, leaving a 5-field Unix expression
+ *
+ * The seconds field is blanked rather than cut so error positions still point into the original input.
+ *
+ * @param {string} input - Cron expression in the requested dialect
+ * @param {string|number} year - Year field for AWS
+ * @param {ProcessOptions} options - Conversion options
+ * @returns {{unixCron: string, year: string|number}} 5-field Unix expression and the year to use
+ * @throws {Error} If the expression does not have 6 fields or has a non-zero seconds field
+ */
+function stripDialectField(input, year, options) {
+  const dialect = options.dialect ?? 'unix'
+  if (dialect === 'unix' || input.trim().startsWith('@')) {
+    return { unixCron: input, year }
+  }
+
+  const matches = [...input.matchAll(/\S+/g)]
+  if (matches.length !== 6) {
+    const layout = dialect === 'seconds'
+      ? 'second minute hour day-of-month month day-of-week'
+      : 'minute hour day-of-month month day-of-week year'
+    throw new Error(`Cron expression with ${dialect} field must have exactly 6 fields (${layout})`)
+  }
+
+  if (dialect === 'seconds') {
+    const [seconds] = matches
+    if (!/^0+$/.test(seconds[0])) {
+      throw new Error(`Invalid second token "${seconds[0]}" at position ${seconds.index + 1}: AWS EventBridge runs at most once a minute, so only 0 seconds can be converted`)
+    }
+    const end = seconds.index + seconds[0].length
+    return { unixCron: ' '.repeat(end) + input.slice(end), year }
+  }
+
+  const yearField = matches[5]
+  // Validated like the other fields so errors name the token and its position
+  validateYear(yearField[0], yearField.index + 1)
+  if (year !== '*' && yearField[0] !== year.toString()) {
+    addWarning(options.warnings, WARNING_CODES.YEAR_OVERRIDDEN, 'year', 'Year specified in both the expression and parameter. Using expression value.')
+  }
+  return { unixCron: input.slice(0, yearField.index), year: yearField[0] }
+}
+
 /**
  * Validates a cron object to ensure it has all required properties with correct types
  * 
@@ -73,10 +898,11 @@ function validateCronObject(cronObj) {
  * 
  * @param {CronObject} cronObj - Object with cron field properties
  * @param {string|number} [year='*'] - Year field for AWS (default: '*' for all years)
- * @returns {string} AWS EventBridge compatible cron expression
+ * @param {ProcessOptions} [options] - Conversion options
+ * @returns {string[]} AWS EventBridge compatible cron expressions
  * @throws {Error} If the input cron object is invalid
  */
-function processObjectInput(cronObj, year = '*') {
+function processObjectInput(cronObj, year = '*', options = { union: false, warnings: [] }) {
   // Validate the cron object
   validateCronObject(cronObj)
   
@@ -84,7 +910,7 @@ function processObjectInput(cronObj, year = '*') {
   let effectiveYear = year
   if ('year' in cronObj) {
     if (year !== '*' && cronObj.year !== year.toString()) {
-      console.warn('Year specified in both object property and parameter. Using object property value.')
+      addWarning(options.warnings, WARNING_CODES.YEAR_OVERRIDDEN, 'year', 'Year specified in both object property and parameter. Using object property value.')
     }
     effectiveYear = cronObj.year
   }
@@ -93,106 +919,1494 @@ function processObjectInput(cronObj, year = '*') {
   const unixCronString = `${cronObj.minute} ${cronObj.hour} ${cronObj.dayOfMonth} ${cronObj.month} ${cronObj.dayOfWeek}`
   
   // Reuse existing string processing logic
-  return processStringInput(unixCronString, effectiveYear)
+  return processStringInput(unixCronString, effectiveYear, options)
 }
 
 /**
  * Processes string input for Unix cron conversion
  * 
- * @param {string} unixCron - Standard 5-field Unix crontab expression
+ * @param {string} unixCron - Standard 5-field Unix crontab expression or nickname such as @daily
  * @param {string|number} [year='*'] - Year field for AWS (default: '*' for all years)
- * @returns {string} AWS EventBridge compatible cron expression
+ * @param {ProcessOptions} [options] - Conversion options
+ * @returns {string[]} AWS EventBridge compatible cron expressions
  * @throws {Error} If the input cron expression is invalid
  */
-function processStringInput(unixCron, year = '*') {
+function processStringInput(unixCron, year = '*', options = { union: false, warnings: [] }) {
   // Validate input
   if (typeof unixCron !== 'string') {
     throw new Error('Cron expression must be a string')
   }
 
-  const fields = unixCron.trim().split(/\s+/)
-  
-  if (fields.length !== 5) {
-    throw new Error('Unix cron expression must have exactly 5 fields (minute hour day-of-month month day-of-week)')
+  const { fields, tokens } = parseUnixCron(unixCron, options.awsExtensions, options.seed)
+
+  // Vixie cron picks OR or AND for the day fields as written, so the shifted UTC fields keep that choice.
+  // Jenkins, where H and the seed come from, always needs both day fields to match
+  const dayFieldUnion = options.dayFieldUnion ?? (options.seed === undefined && isDayFieldUnion(fields[2], fields[4]))
+
+  // Rewrite local-time schedules as one or more UTC schedules before converting them.
+  // Shifted schedules can use L for the last day of the month, and the split
+  // day-of-month pairs each repeat the same day-of-week rule, so drop duplicates
+  if (options.timezone !== undefined) {
+    const utcOptions = { ...options, timezone: undefined, awsExtensions: true, dayFieldUnion }
+    const expressions = shiftToUtc(fields, tokens, options.timezone, year, options.warnings)
+      .flatMap(utcCron => processStringInput(utcCron, year, utcOptions))
+    return [...new Set(expressions)]
   }
 
   let [minute, hour, dayOfMonth, month, dayOfWeek] = fields
 
+  // AWS extensions (L, W, LW) are the only token in their field and are written in upper case
+  if (tokens[2][0].type === 'extension') dayOfMonth = formatToken(tokens[2][0])
+
   // Convert day-of-week from Unix (0-7, where 0&7=Sunday) to AWS (1-7, where 1=Sunday)
-  dayOfWeek = convertDayOfWeek(dayOfWeek)
+  dayOfWeek = convertDayOfWeek(tokens[4], options.nameStyle)
 
-  // Convert month numbers to AWS format (supports both numeric and text)
-  month = convertMonth(month)
+  // Convert month numbers and names to the requested AWS style
+  month = convertMonth(tokens[3], options.nameStyle)
 
-  // Handle mutual exclusivity of day fields in AWS
-  const { awsDayOfMonth, awsDayOfWeek } = handleDayFieldExclusivity(dayOfMonth, dayOfWeek)
+  // A field that selects every day, such as */1 or 0-7, does not limit the days. When Vixie
+  // ORs the day fields, it makes the schedule run every day
+  const everyDayOfMonth = selectsEveryDay(tokens[2], UNIX_FIELDS[2])
+  const everyDayOfWeek = selectsEveryDay(tokens[4], UNIX_FIELDS[4])
+  if (dayFieldUnion && (everyDayOfMonth || everyDayOfWeek)) {
+    dayOfMonth = '*'
+    dayOfWeek = '*'
+  }
+  const restricted = {
+    dayOfMonth: dayOfMonth !== '*' && !everyDayOfMonth,
+    dayOfWeek: dayOfWeek !== '*' && !everyDayOfWeek
+  }
+
+  // Handle mutual exclusivity of day fields in AWS. When both fields must match, one week of
+  // the month on one weekday is the AWS nth weekday, such as 1-7 and Monday for 2#1
+  const bothRestricted = restricted.dayOfMonth && restricted.dayOfWeek
+  const nthWeekday = !dayFieldUnion && bothRestricted ? toNthWeekday(tokens[2], tokens[4]) : null
+  const dayRules = nthWeekday
+    ? [{ awsDayOfMonth: '?', awsDayOfWeek: nthWeekday }]
+    : options.union && dayFieldUnion && bothRestricted
+      ? splitDayFieldUnion(dayOfMonth, dayOfWeek)
+      : [handleDayFieldExclusivity(dayOfMonth, dayOfWeek, options.warnings, options.dayConflict, restricted)]
 
   // Validate year field
   const awsYear = validateYear(year)
 
-  // Construct AWS cron expression
-  const awsCron = `cron(${minute} ${hour} ${awsDayOfMonth} ${month} ${awsDayOfWeek} ${awsYear})`
-
-  return awsCron
-}
+  // Fixed intervals can use the simpler rate() syntax when requested. Rate schedules
+  // count from when the rule is created, so strict mode keeps the exact cron() form
+  if (options.rate && !options.strict && awsYear === '*') {
+    const rateExpression = toRateExpression(tokens)
+    if (rateExpression) {
+      addWarning(options.warnings, WARNING_CODES.RATE_ANCHOR, 'minute', `Using ${rateExpression}, which counts from when the rule is created instead of running at the minutes and hours of "${fields.join(' ')}"`)
+      return [rateExpression]
+    }
+  }
 
-/**
- * Converts Unix day-of-week values to AWS format
- */
-function convertDayOfWeek(dayOfWeek) {
-  if (dayOfWeek === '*') return '*'
-  
-  // Handle numeric values
-  return dayOfWeek.replace(/\b([0-7])\b/g, (match, day) => {
-    const dayNum = parseInt(day)
-    if (dayNum === 0 || dayNum === 7) return '1' // Sunday
-    return (dayNum + 1).toString() // Shift: Mon(1)→Tue(2), ..., Sat(6)→Sun(7)
+  // Construct AWS cron expressions
+  return dayRules.map(({ awsDayOfMonth, awsDayOfWeek }) => {
+    const awsFields = `${minute} ${hour} ${awsDayOfMonth} ${month} ${awsDayOfWeek} ${awsYear}`
+    return options.wrap === false ? awsFields : `cron(${awsFields})`
   })
 }
 
 /**
- * Converts month values - Unix supports only numbers, AWS supports both numbers and names
+ * Splits a Unix cron expression into fields and parses each of them
+ *
+ * @param {string} unixCron - Standard 5-field Unix crontab expression or nickname such as @daily
+ * @param {boolean} [extensions=false] - Accept AWS day extensions (L, W, #)
+ * @param {string} [seed] - Seed for Jenkins H tokens, which are written out as the values they pick
+ * @returns {{fields: string[], tokens: FieldToken[][]}} Field text and parsed tokens for all five fields
+ * @throws {Error} If the expression does not have 5 valid fields
  */
-function convertMonth(month) {
-  // AWS already supports 1-12 numeric format, so no conversion needed
-  // This function exists for potential future enhancements (e.g., converting to month names)
-  return month
-}
+function parseUnixCron(unixCron, extensions = false, seed = undefined) {
+  if (unixCron.trim().startsWith('@')) {
+    return parseUnixCron(expandMacro(unixCron.trim()), extensions, seed)
+  }
+
+  const matches = [...unixCron.matchAll(/\S+/g)]
+  
+  if (matches.length !== 5) {
+    throw new Error('Unix cron expression must have exactly 5 fields (minute hour day-of-month month day-of-week)')
+  }
+
+  // Validate every field against its syntax and allowed bounds
+  const tokens = matches.map((match, index) => parseField(match[0], UNIX_FIELDS[index], match.index + 1, extensions, seed ?? null))
+  return {
+    // Fields with H tokens are rewritten with the values the seed picked
+    fields: matches.map((match, index) => tokens[index].some(token => token.hashed) ? tokens[index].map(token => formatToken(token)).join(',') : match[0]),
+    tokens
+  }
+}
+
+/**
+ * Expands a crontab nickname such as @daily to its 5-field schedule
+ *
+ * @param {string} macro - Nickname including the leading '@'
+ * @returns {string} Equivalent 5-field Unix cron expression
+ * @throws {Error} If the nickname is unknown or has no schedule equivalent
+ */
+function expandMacro(macro) {
+  if (macro === '@reboot') {
+    throw new Error('@reboot runs once when the cron daemon starts and has no AWS EventBridge equivalent')
+  }
+
+  if (!(macro in CRON_MACROS)) {
+    throw new Error(`Unknown cron macro "${macro}". Supported macros: ${Object.keys(CRON_MACROS).join(', ')}`)
+  }
+
+  return CRON_MACROS[macro]
+}
+
+/**
+ * Parses a single cron field into tokens, validating syntax and bounds
+ *
+ * Supports wildcards (*), values (5), ranges (1-5), lists (1,3,5) and steps (*\/15, 1-30/5, 5/15).
+ * Fields with names also accept case-insensitive three-letter names (JAN, mon-fri).
+ * When extensions are enabled, the day fields also accept the AWS extensions L, LW, nW, nL and n#k.
+ * Unix fields (seed not undefined) also accept Jenkins H, H(a-b), H/n and H(a-b)/n, which need a seed.
+ *
+ * @param {string} field - Field text as written in the expression
+ * @param {FieldSpec} spec - Allowed bounds for the field
+ * @param {number} position - 1-based character position of the field in the expression
+ * @param {boolean} [extensions=false] - Accept AWS day extensions
+ * @param {string|null} [seed] - Seed for H tokens, null to reject them for lack of a seed, or undefined where H is not cron syntax
+ * @returns {FieldToken[]} Parsed tokens, one per list item
+ * @throws {Error} If a token is malformed or out of bounds, naming the field, token and position
+ */
+function parseField(field, spec, position, extensions = false, seed = undefined) {
+  const tokens = []
+  let offset = 0
+
+  for (const text of field.split(',')) {
+    const tokenPosition = position + offset
+    offset += text.length + 1
+
+    const fail = (reason) => {
+      throw new Error(`Invalid ${spec.name} token "${text}" at position ${tokenPosition}: ${reason}`)
+    }
+
+    if (text === '') fail('empty list item')
+
+    const parts = text.split('/')
+    if (parts.length > 2) fail('only one step is allowed')
+    const [base, stepText] = parts
+
+    let step = 1
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText)) fail(`step "${stepText}" must be a number`)
+      step = parseInt(stepText, 10)
+      if (step < 1 || step > spec.max) fail(`step must be between 1 and ${spec.max}`)
+    }
+
+    const parseValue = (valueText) => {
+      if (spec.names && /^[a-z]{3}$/i.test(valueText)) {
+        const value = spec.names.indexOf(valueText.toUpperCase())
+        if (value === -1) fail(`"${valueText}" is not a valid ${spec.name} name`)
+        return value
+      }
+      if (!/^\d+$/.test(valueText)) {
+        fail(`"${valueText}" is not a number${spec.names ? ` or ${spec.name} name` : ''}`)
+      }
+      const value = parseInt(valueText, 10)
+      if (value < spec.min || value > spec.max) fail(`value must be between ${spec.min} and ${spec.max}`)
+      return value
+    }
+
+    const hashed = seed === undefined ? null : parseHash(base, step, stepText !== undefined, spec, seed, parseValue, fail)
+    if (hashed) {
+      tokens.push({ ...hashed, step, hashed: true, text, position: tokenPosition })
+      continue
+    }
+
+    const extension = parseExtension(text, spec, parseValue, fail)
+    if (extension) {
+      if (!extensions) fail('L, W and # are AWS extensions and need the awsExtensions option')
+      if (field.includes(',')) fail('L, W and # cannot be combined with other values')
+      tokens.push({ ...extension, step: 1, text, position: tokenPosition })
+      continue
+    }
+
+    if (base === '*') {
+      tokens.push({ type: 'wildcard', start: spec.min, end: spec.max, step, text, position: tokenPosition })
+    } else if (base.includes('-')) {
+      const bounds = base.split('-')
+      if (bounds.length !== 2) fail('ranges must have exactly one "-"')
+      const start = parseValue(bounds[0])
+      const end = parseValue(bounds[1])
+      if (start > end) fail(`range start ${start} is greater than range end ${end}`)
+      tokens.push({ type: 'range', start, end, step, text, position: tokenPosition })
+    } else {
+      const start = parseValue(base)
+      // A stepped single value (5/15) runs from that value to the end of the field
+      const end = stepText === undefined ? start : spec.max
+      tokens.push({ type: 'value', start, end, step, text, position: tokenPosition })
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Resolves a Jenkins H token (H, H(a-b), H/n or H(a-b)/n) to the values a seed picks
+ *
+ * The seed is hashed with the field name, so each field gets its own value. H picks one value in
+ * the field, or in a-b; with a step, it picks the first run within one step of the start.
+ *
+ * @param {string} base - Token without its step
+ * @param {number} step - Step of the token (1 when no step is given)
+ * @param {boolean} stepped - Whether the token has a step
+ * @param {FieldSpec} spec - Allowed bounds for the field
+ * @param {string|null} seed - Seed to hash, or null if none was given
+ * @param {(valueText: string) => number} parseValue - Parses and bounds-checks a value or name
+ * @param {(reason: string) => never} fail - Throws an error about the token
+ * @returns {{type: 'value'|'range', start: number, end: number}|null} Resolved token, or null if the token is not an H token
+ */
+function parseHash(base, step, stepped, spec, seed, parseValue, fail) {
+  const match = base.match(/^H(?:\((.*)\))?$/)
+  if (!match) return null
+  if (seed === null) fail('H needs the seed option, such as the job name, to pick a value')
+
+  let { min, max } = HASH_BOUNDS[spec.name] ?? spec
+  if (match[1] !== undefined) {
+    const bounds = match[1].split('-')
+    if (bounds.length !== 2) fail('H() must contain a range such as H(0-29)')
+    min = parseValue(bounds[0])
+    max = parseValue(bounds[1])
+    if (min > max) fail(`range start ${min} is greater than range end ${max}`)
+  }
+
+  const hash = createHash('sha256').update(seed).update(spec.name).digest().readUInt32BE(0)
+  if (!stepped) {
+    const value = min + hash % (max - min + 1)
+    return { type: 'value', start: value, end: value }
+  }
+
+  // A stepped single value runs to the end of the field, so only H over the whole field is written that way
+  const start = min + hash % Math.min(step, max - min + 1)
+  return { type: max === spec.max ? 'value' : 'range', start, end: max }
+}
+
+/**
+ * Parses an AWS day extension such as L, LW, 15W, 5L or 2#1
+ *
+ * @param {string} text - Token as written in the expression
+ * @param {FieldSpec} spec - Allowed bounds for the field
+ * @param {(valueText: string) => number} parseValue - Parses and bounds-checks a day number or name
+ * @param {(reason: string) => never} fail - Throws an error about the token
+ * @returns {{type: 'extension', modifier: string, start: number|null, end: number|null, nth?: number}|null} Extension token, or null if the token is not an extension
+ */
+function parseExtension(text, spec, parseValue, fail) {
+  if (spec.name === 'day-of-month') {
+    const match = text.match(/^(?:(L|LW)|(\d+)W)$/i)
+    if (!match) return null
+    const day = match[2] === undefined ? null : parseValue(match[2])
+    return { type: 'extension', modifier: (match[1] ?? 'W').toUpperCase(), start: day, end: day }
+  }
+
+  if (spec.name === 'day-of-week') {
+    const match = text.match(/^(?:(\d|[a-z]{3})?L|(\d|[a-z]{3})#(\d+))$/i)
+    if (!match) return null
+    if (match[2] === undefined) {
+      const day = match[1] === undefined ? null : parseValue(match[1])
+      return { type: 'extension', modifier: 'L', start: day, end: day }
+    }
+    const nth = parseInt(match[3], 10)
+    if (nth < 1 || nth > 5) fail('week of the month after # must be between 1 and 5')
+    const day = parseValue(match[2])
+    return { type: 'extension', modifier: '#', start: day, end: day, nth }
+  }
+
+  return null
+}
+
+/**
+ * Converts parsed Unix day-of-week tokens (0-7, where 0&7=Sunday) to AWS format (1-7, where 1=Sunday)
+ *
+ * Step values are kept as they are. Tokens that include Sunday as 7 are rewritten,
+ * since shifting them would produce a descending range such as 6-1.
+ *
+ * @param {FieldToken[]} tokens - Parsed Unix day-of-week tokens
+ * @param {'numbers'|'names'} [nameStyle='numbers'] - Output AWS numbers or names
+ * @returns {string} AWS day-of-week field
+ */
+function convertDayOfWeek(tokens, nameStyle = 'numbers') {
+  const names = nameStyle === 'names' ? AWS_DAY_NAMES : undefined
+  const parts = tokens.flatMap(convertDayOfWeekToken).map(token => formatToken(token, names))
+
+  // Drop duplicates such as 0,7 which both become Sunday
+  return [...new Set(parts)].join(',')
+}
+
+/**
+ * Converts a single Unix day-of-week token to one or more AWS tokens
+ *
+ * @param {FieldToken} token - Parsed Unix day-of-week token
+ * @returns {FieldToken[]} Equivalent AWS day-of-week tokens
+ */
+function convertDayOfWeekToken(token) {
+  const { type, start, end, step } = token
+
+  // Every day-of-week shifts by one, so stepping through all days selects the same weekdays
+  if (type === 'wildcard') return [token]
+
+  const shift = (day) => (day % 7) + 1
+
+  // Only the weekday of 5L or 2#1 shifts, a bare L (Saturday) means the same in both
+  if (type === 'extension') {
+    return [start === null ? token : { ...token, start: shift(start), end: shift(end) }]
+  }
+
+  if (end < 7) {
+    return [{ ...token, start: shift(start), end: shift(end) }]
+  }
+
+  const days = []
+  for (let day = start; day <= end; day += step) days.push(day)
+
+  if (!days.includes(7)) {
+    // Sunday (7) is not selected, so the token can end on Saturday instead
+    return [{ ...token, start: shift(start), end: 7 }]
+  }
+
+  if (step === 1 && start === 0) {
+    // 0-7 names Sunday twice and covers the whole week
+    return [{ ...token, start: 1, end: 7 }]
+  }
+
+  if (step === 1 && start < 7) {
+    // Monday-based range through Sunday, such as 5-7 → 6-7,1
+    return [
+      start === 6
+        ? { ...token, type: 'value', start: 7, end: 7 }
+        : { ...token, type: 'range', start: shift(start), end: 7 },
+      { ...token, type: 'value', start: 1, end: 1 }
+    ]
+  }
+
+  // Anything else that reaches Sunday (7) becomes a plain list of AWS days
+  const awsDays = [...new Set(days.map(shift))].sort((a, b) => a - b)
+  return awsDays.map(day => ({ ...token, type: 'value', start: day, end: day, step: 1 }))
+}
+
+/**
+ * Renders a token back to cron field syntax
+ *
+ * @param {FieldToken} token - Token to render
+ * @param {string[]} [names] - Names to render instead of numbers, indexed by value
+ * @returns {string} Token text such as '*', '*\/2', '5', '5/15', '1-5/2', 'L' or '3#1'
+ */
+function formatToken({ type, start, end, step, modifier, nth }, names) {
+  const stepSuffix = step > 1 ? `/${step}` : ''
+  const format = (value) => names ? names[value] : value
+  if (type === 'wildcard') return `*${stepSuffix}`
+  // AWS documents extensions with day numbers only, so they are never written as names
+  if (type === 'extension') {
+    const day = start === null ? '' : start
+    return modifier === '#' ? `${day}#${nth}` : modifier === 'W' ? `${day}W` : `${day}${modifier}`
+  }
+  if (type === 'value') return `${format(start)}${stepSuffix}`
+  return `${format(start)}-${format(end)}${stepSuffix}`
+}
+
+/**
+ * Converts parsed month tokens - Unix and AWS share 1-12 numbering, so only the style changes
+ *
+ * @param {FieldToken[]} tokens - Parsed Unix month tokens
+ * @param {'numbers'|'names'} [nameStyle='numbers'] - Output AWS numbers or names
+ * @returns {string} AWS month field
+ */
+function convertMonth(tokens, nameStyle = 'numbers') {
+  const names = nameStyle === 'names' ? MONTH_NAMES : undefined
+  return tokens.map(token => formatToken(token, names)).join(',')
+}
+
+/**
+ * Throws in strict mode if the conversion raised any warning
+ *
+ * @param {ConversionWarning[]} warnings - Warnings raised by the conversion
+ * @param {ConvertOptions} options - Conversion options
+ * @throws {LossyConversionError} If strict mode is on and there are warnings
+ */
+function assertExact(warnings, options) {
+  if (options.strict && warnings.length > 0) {
+    throw new LossyConversionError(warnings)
+  }
+}
+
+/**
+ * Records a conversion warning, skipping exact repeats
+ *
+ * @param {ConversionWarning[]} warnings - Warnings collected so far
+ * @param {string} code - Code from WARNING_CODES
+ * @param {string} field - CronObject field the warning is about
+ * @param {string} message - Human-readable explanation
+ */
+function addWarning(warnings, code, field, message) {
+  if (!warnings.some(warning => warning.code === code && warning.message === message)) {
+    warnings.push({ code, field, message })
+  }
+}
+
+/**
+ * Splits an AWS cron expression into its six named fields
+ *
+ * @param {string} awsCron - AWS cron() expression
+ * @returns {{minute: string, hour: string, dayOfMonth: string, month: string, dayOfWeek: string, year: string}} Field text
+ */
+function toAwsFieldObject(awsCron) {
+  const [minute, hour, dayOfMonth, month, dayOfWeek, year] = parseAwsFields(awsCron).map(field => field.text)
+  return { minute, hour, dayOfMonth, month, dayOfWeek, year }
+}
+
+/**
+ * Splits an AWS cron expression into its six fields
+ *
+ * @param {string} awsCron - AWS cron expression with or without the cron() wrapper
+ * @returns {{text: string, position: number}[]} Field text with its 1-based character position
+ * @throws {Error} If the expression is not a cron expression with exactly 6 fields
+ */
+function parseAwsFields(awsCron) {
+  const wrapped = awsCron.match(/^\s*cron\((.*)\)\s*$/)
+  if (!wrapped && /^\s*\w+\(/.test(awsCron)) {
+    throw new Error(`Only cron() expressions can be converted, received: ${awsCron.trim()}`)
+  }
+
+  const body = wrapped ? wrapped[1] : awsCron
+  const offset = wrapped ? awsCron.indexOf('(') + 1 : 0
+  const matches = [...body.matchAll(/\S+/g)]
+
+  if (matches.length !== 6) {
+    throw new Error('AWS cron expression must have exactly 6 fields (minute hour day-of-month month day-of-week year)')
+  }
+
+  return matches.map(match => ({ text: match[0], position: offset + match.index + 1 }))
+}
+
+/**
+ * Checks the EventBridge rule that one of the day fields is '?', so they are never combined
+ *
+ * @param {{text: string, position: number}[]} fields - Fields from parseAwsFields
+ * @throws {Error} If neither day field is '?'
+ */
+function assertAwsDayFields(fields) {
+  const [, , dayOfMonth, , dayOfWeek] = fields.map(field => field.text)
+  if (dayOfMonth === '?' || dayOfWeek === '?') return
+
+  if (dayOfMonth !== '*' && dayOfWeek !== '*') {
+    throw new Error('AWS cron expressions cannot restrict both day-of-month and day-of-week')
+  }
+  throw new Error(`AWS cron expressions need "?" in day-of-month or day-of-week, received "${dayOfMonth}" and "${dayOfWeek}"`)
+}
+
+/**
+ * Parses the six fields of an AWS cron expression
+ *
+ * @param {{text: string, position: number}[]} fields - Fields from parseAwsFields
+ * @param {boolean} [extensions=false] - Accept the day extensions L, W and #
+ * @returns {(FieldToken[]|null)[]} Parsed tokens per field, or null for a '?' day field
+ * @throws {Error} If a field is malformed or out of bounds
+ */
+function parseAwsTokens(fields, extensions = false) {
+  // Validate every field against its syntax and allowed bounds, treating '?' as '*'
+  return fields.map(({ text, position }, index) =>
+    text === '?' && (index === 2 || index === 4) ? null : parseField(text, AWS_FIELDS[index], position, extensions)
+  )
+}
+
+/**
+ * Converts parsed AWS day-of-week tokens (1-7, where 1=Sunday) to Unix format (0-6, where 0=Sunday)
+ *
+ * @param {FieldToken[]} tokens - Parsed AWS day-of-week tokens
+ * @returns {string} Unix day-of-week field
+ */
+function convertAwsDayOfWeek(tokens) {
+  return tokens.map(token => {
+    const { type, start, end } = token
+    if (type === 'wildcard') return formatToken(token)
+
+    // A stepped AWS value (3/2) stops at Saturday, while in Unix it would continue
+    // to Sunday (7), so it is written as an explicit range instead
+    const unixType = start === end ? 'value' : 'range'
+    return formatToken({ ...token, type: unixType, start: start - 1, end: end - 1 })
+  }).join(',')
+}
 
 /**
  * Handles AWS restriction: cannot specify both day-of-month and day-of-week
- * If both are specified, prioritize day-of-week and set day-of-month to '?'
+ * If both limit the days, keep the field chosen by the conflict policy (day-of-week by default)
+ * and set the other one to '?'
+ *
+ * @param {string} dayOfMonth - AWS day-of-month field
+ * @param {string} dayOfWeek - AWS day-of-week field
+ * @param {ConversionWarning[]} [warnings] - Collects the conflict warning
+ * @param {'dayOfWeek'|'dayOfMonth'|'error'} [dayConflict='dayOfWeek'] - Day field to keep when both limit the days
+ * @param {{dayOfMonth: boolean, dayOfWeek: boolean}} [restricted] - Whether each field limits the days (default: any field other than '*')
+ * @returns {{awsDayOfMonth: string, awsDayOfWeek: string}} AWS day fields
  */
-function handleDayFieldExclusivity(dayOfMonth, dayOfWeek) {
-  const isDayOfMonthSpecified = dayOfMonth !== '*'
-  const isDayOfWeekSpecified = dayOfWeek !== '*'
+function handleDayFieldExclusivity(dayOfMonth, dayOfWeek, warnings = [], dayConflict = 'dayOfWeek', restricted = { dayOfMonth: dayOfMonth !== '*', dayOfWeek: dayOfWeek !== '*' }) {
+  if (restricted.dayOfMonth && restricted.dayOfWeek) {
+    if (dayConflict === 'dayOfMonth') {
+      addWarning(warnings, WARNING_CODES.DAY_FIELD_CONFLICT, 'dayOfWeek', 'Both day-of-month and day-of-week specified. Using day-of-month and setting day-of-week to "?"')
+      return {
+        awsDayOfMonth: dayOfMonth,
+        awsDayOfWeek: '?'
+      }
+    }
+
+    if (dayConflict === 'error') {
+      throw new LossyConversionError([{
+        code: WARNING_CODES.DAY_FIELD_CONFLICT,
+        field: 'dayOfMonth',
+        message: 'Both day-of-month and day-of-week specified, which AWS cannot combine in one expression'
+      }])
+    }
 
-  if (isDayOfMonthSpecified && isDayOfWeekSpecified) {
     // AWS doesn't allow both - prioritize day-of-week
-    console.warn('Both day-of-month and day-of-week specified. Using day-of-week and setting day-of-month to "?"')
+    addWarning(warnings, WARNING_CODES.DAY_FIELD_CONFLICT, 'dayOfMonth', 'Both day-of-month and day-of-week specified. Using day-of-week and setting day-of-month to "?"')
     return {
       awsDayOfMonth: '?',
       awsDayOfWeek: dayOfWeek
     }
   }
 
-  // Convert * to ? for the unused field (AWS requirement)
+  // Only one field limits the days, so the other one becomes '?' (AWS requirement)
+  if (restricted.dayOfMonth) return { awsDayOfMonth: dayOfMonth, awsDayOfWeek: '?' }
+  if (restricted.dayOfWeek) return { awsDayOfMonth: '?', awsDayOfWeek: dayOfWeek }
+
+  // Every day is selected: keep a field that is written out, such as */1, and '?' for the rest
   return {
-    awsDayOfMonth: isDayOfMonthSpecified ? dayOfMonth : '?',
-    awsDayOfWeek: isDayOfWeekSpecified ? dayOfWeek : '?'
+    awsDayOfMonth: dayOfMonth !== '*' ? dayOfMonth : '?',
+    awsDayOfWeek: dayOfWeek !== '*' && dayOfMonth === '*' ? dayOfWeek : '?'
   }
 }
 
+/**
+ * Finds the AWS nth weekday that day fields which must both match select, such as 2#1 for
+ * days 1-7 on Monday. Days 29-31 are the fifth week, which not every month has
+ *
+ * @param {FieldToken[]} dayOfMonthTokens - Parsed day-of-month tokens
+ * @param {FieldToken[]} dayOfWeekTokens - Parsed day-of-week tokens
+ * @returns {string|null} AWS day-of-week such as 2#1, or null if the days are not one weekday in one week of the month
+ */
+function toNthWeekday(dayOfMonthTokens, dayOfWeekTokens) {
+  if ([...dayOfMonthTokens, ...dayOfWeekTokens].some(token => token.type === 'extension')) return null
+
+  const daysOfMonth = expandTokens(dayOfMonthTokens)
+  const weekdays = new Set(expandTokens(dayOfWeekTokens).map(day => day % 7))
+  const first = daysOfMonth[0]
+  const week = Array.from({ length: Math.min(7, 32 - first) }, (_, index) => first + index)
+  if ((first - 1) % 7 !== 0 || daysOfMonth.join() !== week.join() || weekdays.size !== 1) return null
+
+  // AWS counts weekdays 1-7 from Sunday
+  return `${[...weekdays][0] + 1}#${(first - 1) / 7 + 1}`
+}
+
+/**
+ * Checks whether a Unix day field selects every day, such as *, *\/1, 1-31 or 0-7
+ *
+ * @param {FieldToken[]} tokens - Parsed day-of-month or day-of-week tokens
+ * @param {FieldSpec} spec - Bounds of the field
+ * @returns {boolean} Whether no day is left out
+ */
+function selectsEveryDay(tokens, spec) {
+  if (tokens.some(token => token.type === 'extension')) return false
+
+  // Sunday is both 0 and 7 in day-of-week
+  const isDayOfWeek = spec.name === 'day-of-week'
+  const days = new Set(expandTokens(tokens).map(day => isDayOfWeek ? day % 7 : day))
+  return days.size === (isDayOfWeek ? 7 : spec.max - spec.min + 1)
+}
+
+/**
+ * Builds an AWS rate() expression for schedules that fire at a fixed interval
+ *
+ * Only schedules where every day, month and weekday is selected qualify, and the
+ * interval must divide evenly into the hour or day so that it never drifts.
+ * Note that rate() counts from when the rule is created rather than from the top of the hour.
+ *
+ * @param {FieldToken[][]} tokens - Parsed Unix tokens for all five fields
+ * @returns {string|null} Rate expression, or null if the schedule is not a fixed interval
+ */
+function toRateExpression(tokens) {
+  const [minute, hour, ...days] = tokens
+  const isEvery = (field) => field.length === 1 && field[0].type === 'wildcard'
+  const isSingle = (field) => field.length === 1 && field[0].type === 'value' && field[0].start === field[0].end
+  const rate = (value, unit) => `rate(${value} ${unit}${value === 1 ? '' : 's'})`
+
+  if (!days.every(field => isEvery(field) && field[0].step === 1)) return null
+
+  if (isEvery(minute) && isEvery(hour) && hour[0].step === 1 && 60 % minute[0].step === 0) {
+    return rate(minute[0].step, 'minute')
+  }
+
+  if (isSingle(minute) && isEvery(hour) && 24 % hour[0].step === 0) {
+    return rate(hour[0].step, 'hour')
+  }
+
+  if (isSingle(minute) && isSingle(hour)) {
+    return rate(1, 'day')
+  }
+
+  return null
+}
+
+/**
+ * Rewrites a Unix schedule written in a local timezone as equivalent UTC schedules
+ *
+ * The standard (non-daylight saving) UTC offset of the timezone is used. Runs that move to
+ * the previous or next day in UTC are returned as separate schedules with shifted day fields.
+ * A warning lists the periods in which daylight saving time makes the UTC schedule drift.
+ *
+ * @param {string[]} fields - Unix field text
+ * @param {FieldToken[][]} tokens - Parsed Unix tokens for all five fields
+ * @param {string} timeZone - IANA timezone the schedule is written in
+ * @param {string|number} year - Year field for AWS, used to pick the year to check for daylight saving time
+ * @param {ConversionWarning[]} [warnings] - Collects daylight saving time and year boundary warnings
+ * @returns {string[]} Unix cron expressions in UTC, which can use L for the last day of the month
+ * @throws {Error} If the timezone is unknown or the shift crosses a month boundary
+ */
+function shiftToUtc(fields, tokens, timeZone, year, warnings = []) {
+  const [minuteText, hourText, dayOfMonthText, monthText, dayOfWeekText] = fields
+  const referenceYear = parseInt(year, 10) || new Date().getUTCFullYear()
+  const { standardOffset, periods } = getTimezoneOffsets(timeZone, referenceYear)
+
+  if (periods.length > 0) {
+    const ranges = periods.map(({ from, to }) => `${formatDate(from)} to ${formatDate(to)}`).join(' and ')
+    const drift = periods[0].offset - standardOffset
+    addWarning(warnings, WARNING_CODES.DST_DRIFT, 'hour', `${timeZone} observes daylight saving time, so no UTC schedule matches it exactly. Using standard offset ${formatOffset(standardOffset)}: runs from ${ranges} fire ${drift} minutes later in local time`)
+  }
+
+  const minutes = expandTokens(tokens[0])
+  const daysUnrestricted = dayOfMonthText === '*' && monthText === '*' && dayOfWeekText === '*'
+
+  // Group UTC run times by how many days they moved
+  const shifts = new Map()
+  let crossesMidnight = false
+  for (const hour of expandTokens(tokens[1])) {
+    for (const minute of minutes) {
+      const total = hour * 60 + minute - standardOffset
+      const utcDayShift = Math.floor(total / 1440)
+      const utcTotal = total - utcDayShift * 1440
+      crossesMidnight ||= utcDayShift !== 0
+
+      // When every day is selected it does not matter which day a run moves to
+      const dayShift = daysUnrestricted ? 0 : utcDayShift
+      if (!shifts.has(dayShift)) shifts.set(dayShift, new Map())
+      const hours = shifts.get(dayShift)
+      const utcHour = Math.floor(utcTotal / 60)
+      if (!hours.has(utcHour)) hours.set(utcHour, [])
+      hours.get(utcHour).push(utcTotal % 60)
+    }
+  }
+
+  if (crossesMidnight && year !== '*') {
+    addWarning(warnings, WARNING_CODES.YEAR_BOUNDARY, 'year', `Runs close to midnight on the first or last day of year ${year} fall in a different year in UTC`)
+  }
+
+  const expressions = []
+  for (const [dayShift, hours] of [...shifts].sort(([a], [b]) => a - b)) {
+    // Hours that share the same minutes can share one expression
+    const byMinutes = new Map()
+    for (const [hour, hourMinutes] of hours) {
+      const minuteField = standardOffset % 60 === 0
+        ? minuteText
+        : formatValues(hourMinutes.sort((a, b) => a - b), UNIX_FIELDS[0])
+      if (!byMinutes.has(minuteField)) byMinutes.set(minuteField, [])
+      byMinutes.get(minuteField).push(hour)
+    }
+
+    for (const days of shiftDayFields(dayShift, tokens, fields, timeZone)) {
+      for (const [minuteField, utcHours] of byMinutes) {
+        const hourField = standardOffset === 0 ? hourText : formatValues(utcHours.sort((a, b) => a - b), UNIX_FIELDS[1])
+        expressions.push(`${minuteField} ${hourField} ${days.dayOfMonth} ${monthText} ${days.dayOfWeek}`)
+      }
+    }
+  }
+
+  return expressions
+}
+
+/**
+ * Moves the day fields of a schedule by whole days after shifting it to UTC
+ *
+ * Runs on the 1st that move to the previous day fall on the last day of the month, which is
+ * written as L. L cannot be listed with other days, so it gets a pair of day fields of its own.
+ *
+ * @param {number} dayShift - Number of days the runs moved (-1, 0 or 1)
+ * @param {FieldToken[][]} tokens - Parsed Unix tokens for all five fields
+ * @param {string[]} fields - Unix field text
+ * @param {string} timeZone - IANA timezone, used in error messages
+ * @returns {{dayOfMonth: string, dayOfWeek: string}[]} Shifted Unix day fields, one pair per expression needed
+ * @throws {Error} If the shift crosses a month boundary
+ */
+function shiftDayFields(dayShift, tokens, fields, timeZone) {
+  const [, , dayOfMonth, month, dayOfWeek] = fields
+  if (dayShift === 0) return [{ dayOfMonth, dayOfWeek }]
+
+  const direction = dayShift < 0 ? 'previous' : 'next'
+  const boundaryError = (reason) => new Error(`Cannot shift schedule from ${timeZone} to UTC: runs move to the ${direction} day and ${reason}, which a fixed UTC schedule cannot express`)
+
+  if (month !== '*') {
+    throw boundaryError(`month "${month}" would have to change at month boundaries`)
+  }
+
+  const extension = [...tokens[2], ...tokens[4]].find(token => token.type === 'extension')
+  if (extension) {
+    throw boundaryError(`"${extension.text}" depends on the calendar`)
+  }
+
+  let utcDaysOfMonth = [dayOfMonth]
+  if (dayOfMonth !== '*') {
+    const days = expandTokens(tokens[2]).map(day => day + dayShift)
+    // The day after the 28th depends on the length of the month
+    if (days.some(day => day > 28)) {
+      throw boundaryError(`day-of-month "${dayOfMonth}" would cross into another month`)
+    }
+    const daysInMonth = days.filter(day => day >= 1)
+    utcDaysOfMonth = [
+      ...(daysInMonth.length < days.length ? ['L'] : []),
+      ...(daysInMonth.length > 0 ? [formatValues(daysInMonth, UNIX_FIELDS[2])] : [])
+    ]
+  }
+
+  let utcDayOfWeek = dayOfWeek
+  if (dayOfWeek !== '*') {
+    const days = [...new Set(expandTokens(tokens[4]).map(day => (day + dayShift + 7) % 7))].sort((a, b) => a - b)
+    utcDayOfWeek = formatValues(days, { ...UNIX_FIELDS[4], max: 6 })
+  }
+
+  return utcDaysOfMonth.map(utcDayOfMonth => ({ dayOfMonth: utcDayOfMonth, dayOfWeek: utcDayOfWeek }))
+}
+
+/**
+ * Finds the standard UTC offset of a timezone and the periods of a year that use another offset
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {number} year - Year to check
+ * @returns {{standardOffset: number, periods: {from: Date, to: Date, offset: number}[]}} Offsets in minutes east of UTC
+ * @throws {Error} If the timezone is unknown
+ */
+function getTimezoneOffsets(timeZone, year) {
+  const dayMs = 24 * 60 * 60 * 1000
+  const start = Date.UTC(year, 0, 1)
+  const end = Date.UTC(year + 1, 0, 1)
+
+  // Sample once a day, then narrow every change down to the minute
+  const changes = [{ time: start, offset: getTimezoneOffset(timeZone, start) }]
+  for (let time = start + dayMs; time <= end; time += dayMs) {
+    const offset = getTimezoneOffset(timeZone, time)
+    const previous = changes[changes.length - 1].offset
+    if (offset !== previous) {
+      let low = time - dayMs
+      let high = time
+      while (high - low > 60 * 1000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000
+        if (getTimezoneOffset(timeZone, middle) === previous) low = middle
+        else high = middle
+      }
+      changes.push({ time: high, offset })
+    }
+  }
+
+  const standardOffset = Math.min(...changes.map(change => change.offset))
+  const periods = changes
+    .map((change, index) => ({
+      from: new Date(change.time),
+      to: new Date(index + 1 < changes.length ? changes[index + 1].time : end),
+      offset: change.offset
+    }))
+    .filter(period => period.offset !== standardOffset && period.to > period.from)
+
+  return { standardOffset, periods }
+}
+
+const timezoneFormatters = new Map()
+
+/**
+ * Returns the UTC offset of a timezone at a point in time
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Offset in minutes east of UTC
+ * @throws {Error} If the timezone is unknown
+ */
+function getTimezoneOffset(timeZone, time) {
+  if (!timezoneFormatters.has(timeZone)) {
+    try {
+      timezoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      }))
+    } catch {
+      throw new Error(`Unknown timezone "${timeZone}"`)
+    }
+  }
+
+  const parts = Object.fromEntries(
+    timezoneFormatters.get(timeZone).formatToParts(time).map(({ type, value }) => [type, value])
+  )
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)
+  return Math.round((local - Math.floor(time / 60000) * 60000) / 60000)
+}
+
+/**
+ * Formats an offset in minutes as ±hh:mm
+ */
+function formatOffset(offset) {
+  const sign = offset < 0 ? '-' : '+'
+  const absolute = Math.abs(offset)
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in UTC
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Lists every value selected by a set of tokens, in ascending order
+ *
+ * @param {FieldToken[]} tokens - Parsed tokens of one field
+ * @returns {number[]} Selected values
+ */
+function expandTokens(tokens) {
+  const values = new Set()
+  for (const { start, end, step } of tokens) {
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+  return [...values].sort((a, b) => a - b)
+}
+
+/**
+ * Renders a sorted list of values as compact cron field syntax
+ *
+ * @param {number[]} values - Sorted, distinct values
+ * @param {FieldSpec} spec - Bounds of the field
+ * @returns {string} Field text such as '*', '*\/6', '5-23/6', '1-5' or '1,3,8'
+ */
+function formatValues(values, spec) {
+  const first = values[0]
+  const last = values[values.length - 1]
+  const step = values.length > 1 ? values[1] - first : 1
+  const isProgression = values.every((value, index) => value === first + index * step)
+
+  if (isProgression && first === spec.min && last + step > spec.max) {
+    return step === 1 ? '*' : `*/${step}`
+  }
+
+  if (isProgression && values.length >= 3) {
+    return step === 1 ? `${first}-${last}` : `${first}-${last}/${step}`
+  }
+
+  // Collapse runs of consecutive values into ranges
+  const parts = []
+  for (let index = 0; index < values.length;) {
+    let runEnd = index
+    while (runEnd + 1 < values.length && values[runEnd + 1] === values[runEnd] + 1) runEnd++
+    parts.push(runEnd - index >= 2 ? `${values[index]}-${values[runEnd]}` : values.slice(index, runEnd + 1).join(','))
+    index = runEnd + 1
+  }
+  return parts.join(',')
+}
+
+/**
+ * Builds a schedule from a Unix expression, CronObject or AWS cron() expression
+ *
+ * @param {string|CronObject} input - Expression to build a schedule for
+ * @returns {Schedule} Schedule matching the expression
+ * @throws {Error} If the expression is invalid
+ */
+function createSchedule(input) {
+  if (typeof input === 'string') {
+    if (/^\s*cron\(/.test(input)) return createAwsSchedule(input)
+    if (/^\s*\w+\(/.test(input)) {
+      throw new Error(`Only cron() expressions have fixed run times, received: ${input.trim()}`)
+    }
+    return createUnixSchedule(input, '*')
+  }
+
+  if (typeof input === 'object' && input !== null && !Array.isArray(input)) {
+    validateCronObject(input)
+    const unixCron = `${input.minute} ${input.hour} ${input.dayOfMonth} ${input.month} ${input.dayOfWeek}`
+    return createUnixSchedule(unixCron, input.year ?? '*')
+  }
+
+  const inputType = input === null ? 'null' : Array.isArray(input) ? 'array' : typeof input
+  throw new Error(`Input must be a string or object, received: ${inputType}`)
+}
+
+/**
+ * Builds a schedule from a Unix expression, following Vixie cron day matching
+ *
+ * @param {string} unixCron - Standard 5-field Unix crontab expression or nickname
+ * @param {string|number} year - Years to run in ('*' for all years)
+ * @returns {Schedule} Schedule matching the expression
+ */
+function createUnixSchedule(unixCron, year) {
+  const { fields, tokens } = parseUnixCron(unixCron, true)
+  const matchesDayOfMonth = createDayOfMonthMatcher(tokens[2])
+  const months = new Set(expandTokens(tokens[3]))
+  const matchesDayOfWeek = createDayOfWeekMatcher(tokens[4], day => day % 7)
+  const matchesYear = createYearMatcher(String(year))
+  const union = isDayFieldUnion(fields[2], fields[4])
+
+  return {
+    minutes: expandTokens(tokens[0]),
+    hours: expandTokens(tokens[1]),
+    matchesDay(date) {
+      if (!matchesYear(date.getUTCFullYear()) || !months.has(date.getUTCMonth() + 1)) return false
+      const dayOfMonthMatches = matchesDayOfMonth(date)
+      const dayOfWeekMatches = matchesDayOfWeek(date)
+      return union ? dayOfMonthMatches || dayOfWeekMatches : dayOfMonthMatches && dayOfWeekMatches
+    }
+  }
+}
+
+/**
+ * Builds a schedule from an AWS cron() expression
+ *
+ * @param {string} awsCron - AWS EventBridge cron expression
+ * @returns {Schedule} Schedule matching the expression
+ * @throws {Error} If the expression is invalid or restricts both day fields
+ */
+function createAwsSchedule(awsCron) {
+  const fields = parseAwsFields(awsCron)
+  const [minute, hour, dayOfMonth, month, dayOfWeek, year] = parseAwsTokens(fields, true)
+  assertAwsDayFields(fields)
+
+  // '?' and '*' both select every day
+  const matchesDayOfMonth = dayOfMonth ? createDayOfMonthMatcher(dayOfMonth) : () => true
+  const matchesDayOfWeek = dayOfWeek ? createDayOfWeekMatcher(dayOfWeek, day => day - 1) : () => true
+  const months = new Set(expandTokens(month))
+  const years = new Set(expandTokens(year))
+
+  return {
+    minutes: expandTokens(minute),
+    hours: expandTokens(hour),
+    matchesDay(date) {
+      return years.has(date.getUTCFullYear()) &&
+        months.has(date.getUTCMonth() + 1) &&
+        matchesDayOfMonth(date) &&
+        matchesDayOfWeek(date)
+    }
+  }
+}
+
+/**
+ * Builds a matcher for a day-of-month field, including the AWS extensions L, LW and nW
+ *
+ * @param {FieldToken[]} tokens - Parsed day-of-month tokens
+ * @returns {(date: Date) => boolean} Whether the UTC day of a date is selected
+ */
+function createDayOfMonthMatcher(tokens) {
+  const [token] = tokens
+  if (token.type !== 'extension') {
+    const days = new Set(expandTokens(tokens))
+    return (date) => days.has(date.getUTCDate())
+  }
+
+  return (date) => {
+    const lastDay = getLastDayOfMonth(date)
+    if (token.modifier === 'L') return date.getUTCDate() === lastDay
+
+    // W runs on the weekday nearest to the day without leaving the month, and not at all
+    // in months that are too short
+    const day = token.modifier === 'LW' ? lastDay : token.start
+    if (day > lastDay) return false
+    const weekday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), day)).getUTCDay()
+    let runDay = day
+    if (weekday === 6) runDay = day === 1 ? 3 : day - 1
+    if (weekday === 0) runDay = day === lastDay ? day - 2 : day + 1
+    return date.getUTCDate() === runDay
+  }
+}
+
+/**
+ * Builds a matcher for a day-of-week field, including the AWS extensions L, nL and n#k
+ *
+ * @param {FieldToken[]} tokens - Parsed day-of-week tokens
+ * @param {(day: number) => number} toWeekday - Converts a field value to a JavaScript weekday (0 = Sunday)
+ * @returns {(date: Date) => boolean} Whether the UTC day of a date is selected
+ */
+function createDayOfWeekMatcher(tokens, toWeekday) {
+  const [token] = tokens
+  if (token.type !== 'extension') {
+    const days = new Set(expandTokens(tokens).map(toWeekday))
+    return (date) => days.has(date.getUTCDay())
+  }
+
+  // A bare L is the last day of the week, Saturday
+  if (token.start === null) return (date) => date.getUTCDay() === 6
+
+  const weekday = toWeekday(token.start)
+  return (date) => date.getUTCDay() === weekday && (token.modifier === '#'
+    ? Math.ceil(date.getUTCDate() / 7) === token.nth
+    : date.getUTCDate() + 7 > getLastDayOfMonth(date))
+}
+
+/**
+ * Gets the number of days in the UTC month of a date
+ *
+ * @param {Date} date - Any date in the month
+ * @returns {number} Last day of the month (28-31)
+ */
+function getLastDayOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+}
+
+/**
+ * Builds a matcher for a year field such as '*', '2025' or '2024-2026'
+ *
+ * @param {string} year - Year field
+ * @returns {(year: number) => boolean} Whether a year is selected
+ */
+function createYearMatcher(year) {
+  if (year === '*') return () => true
+  const years = new Set(expandTokens(parseField(year, AWS_FIELDS[5], 1)))
+  return (value) => years.has(value)
+}
+
+/**
+ * Yields the run times of a schedule in order, starting strictly after a given time
+ *
+ * @param {Schedule} schedule - Schedule to run
+ * @param {Date} from - Time to start after
+ * @yields {Date} Run times up to the end of year 2199
+ */
+function * generateRuns(schedule, from) {
+  const dayMs = 24 * 60 * 60 * 1000
+  const start = Math.floor(from.getTime() / 60000) * 60000 + 60000
+  const first = new Date(start)
+
+  for (
+    let day = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+    new Date(day).getUTCFullYear() <= AWS_FIELDS[5].max;
+    day += dayMs
+  ) {
+    if (!schedule.matchesDay(new Date(day))) continue
+
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const time = day + (hour * 60 + minute) * 60000
+        if (time >= start) yield new Date(time)
+      }
+    }
+  }
+}
+
+/**
+ * Merges several ordered run time sequences into one, dropping duplicates
+ *
+ * @param {Generator<Date>[]} sequences - Run times, each in ascending order
+ * @yields {Date} Run times of all sequences in ascending order
+ */
+function * mergeRuns(sequences) {
+  const heads = sequences.map(sequence => ({ sequence, next: sequence.next() }))
+
+  while (true) {
+    const pending = heads.filter(head => !head.next.done)
+    if (pending.length === 0) return
+
+    const time = Math.min(...pending.map(head => head.next.value.getTime()))
+    for (const head of pending) {
+      if (head.next.value.getTime() === time) head.next = head.sequence.next()
+    }
+    yield new Date(time)
+  }
+}
+
+/**
+ * Builds a one-time at() expression for AWS cron fields that select a single minute
+ *
+ * @param {{minute: string, hour: string, dayOfMonth: string, month: string, dayOfWeek: string, year: string}} fields - AWS cron fields
+ * @returns {string|null} at() expression, or null if the fields select more than one run
+ * @throws {Error} If the fields select a date that does not exist
+ */
+function toAtExpression({ minute, hour, dayOfMonth, month, dayOfWeek, year }) {
+  const isSingle = (text) => /^\d+$/.test(text)
+  const monthNumber = isSingle(month) ? parseInt(month, 10) : MONTH_NAMES.indexOf(month.toUpperCase())
+
+  if (![minute, hour, dayOfMonth, year].every(isSingle) || monthNumber < 1 || dayOfWeek !== '?') {
+    return null
+  }
+
+  const date = new Date(Date.UTC(parseInt(year, 10), monthNumber - 1, parseInt(dayOfMonth, 10), parseInt(hour, 10), parseInt(minute, 10)))
+  if (date.getUTCDate() !== parseInt(dayOfMonth, 10)) {
+    throw new Error(`Schedule is pinned to ${year}-${String(monthNumber).padStart(2, '0')}-${dayOfMonth.padStart(2, '0')}, which does not exist`)
+  }
+
+  return `at(${date.toISOString().slice(0, 19)})`
+}
+
+/**
+ * Converts the schedule of a crontab job, translating a shell guard idiom in its command
+ *
+ * @param {string} schedule - Unix schedule of the job
+ * @param {string} command - Command of the job
+ * @param {ConvertOptions} options - Conversion options
+ * @returns {CrontabLine} Schedule, command and converted expressions
+ */
+function convertCrontabJob(schedule, command, options) {
+  const idiom = matchGuardIdiom(schedule, command, options.seed)
+
+  const { expressions, warnings } = idiom
+    ? convertDetailedSet(idiom.schedule, { ...options, awsExtensions: true })
+    : convertDetailedSet(schedule, options)
+
+  return {
+    schedule,
+    command: idiom ? idiom.command : command,
+    expression: expressions.length === 1 ? expressions[0] : null,
+    expressions,
+    warnings,
+    idiom: idiom ? idiom.name : null
+  }
+}
+
+/**
+ * Splits a crontab line into its schedule, user and command
+ *
+ * @param {string} line - Crontab line with a 5-field schedule or nickname and a command
+ * @param {boolean} [userColumn=false] - Whether a user column follows the schedule, as in system crontabs
+ * @returns {{schedule: string, user: string|null, command: string}} Schedule fields, user and the rest of the line
+ * @throws {Error} If the line does not have a schedule followed by a command
+ */
+function splitCrontabLine(line, userColumn = false) {
+  const fieldCount = line.trim().startsWith('@') ? 1 : 5
+  const user = userColumn ? '\\s+(\\S+)' : '()'
+  const match = line.match(new RegExp(`^\\s*((?:\\S+\\s+){${fieldCount - 1}}\\S+)${user}\\s+(\\S.*?)\\s*$`))
+  if (!match) {
+    const layout = userColumn ? 'a user and a command' : 'a command'
+    throw new Error(`Crontab line must have a schedule (5 fields or a nickname such as @daily) followed by ${layout}`)
+  }
+  return { schedule: match[1], user: userColumn ? match[2] : null, command: match[3] }
+}
+
+/**
+ * Builds a pattern for a shell guard that compares the output of `date` with a value,
+ * such as `[ "$(date +\%u)" = "1" ] && ` or `test $(date +%u) -eq 1 && `
+ *
+ * @param {string} dateArgs - Pattern for the arguments passed to date
+ * @param {string} value - Pattern for the value the output is compared with
+ * @returns {RegExp} Pattern capturing the guarded command as the named group "command"
+ */
+function createGuardPattern(dateArgs, value) {
+  const dateCall = `["']?(?:\\$\\(|\`)\\s*date\\s+${dateArgs}\\s*(?:\\)|\`)["']?`
+  return new RegExp(`^(?:\\[\\[?|test)\\s+${dateCall}\\s*(?:==?|-eq)\\s*["']?${value}["']?\\s*\\]?\\]?\\s*&&\\s*(?<command>\\S.*)$`)
+}
+
+/**
+ * Finds a shell guard idiom at the start of a crontab command
+ *
+ * @param {string} schedule - Unix schedule of the crontab line
+ * @param {string} command - Command of the crontab line
+ * @param {string} [seed] - Seed for Jenkins H tokens in the schedule
+ * @returns {{name: string, schedule: string, command: string}|null} Idiom name, equivalent schedule with AWS extensions and the guarded command, or null
+ */
+function matchGuardIdiom(schedule, command, seed) {
+  const { fields, tokens } = parseUnixCron(schedule, false, seed)
+  const [minute, hour, , month, dayOfWeek] = fields
+  // A restricted day-of-week would be OR'ed with day-of-month, so the guard means something else
+  if (dayOfWeek !== '*') return null
+
+  const daysOfMonth = expandTokens(tokens[2])
+  for (const { name, pattern, toDays } of GUARD_IDIOMS) {
+    const match = command.match(pattern)
+    const days = match && toDays(daysOfMonth, match.groups)
+    if (days) {
+      return { name, schedule: `${minute} ${hour} ${days.dayOfMonth} ${month} ${days.dayOfWeek}`, command: match.groups.command }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Describes a rate() expression, such as "Every 5 minutes"
+ *
+ * @param {string} rateExpression - AWS rate() expression
+ * @returns {string} English description
+ * @throws {Error} If the expression is not a valid rate() expression
+ */
+function describeRate(rateExpression) {
+  const match = rateExpression.match(/^\s*rate\((\d+) (minute|hour|day)s?\)\s*$/)
+  if (!match || parseInt(match[1], 10) < 1) {
+    throw new Error(`Invalid rate expression: ${rateExpression.trim()}`)
+  }
+  const value = parseInt(match[1], 10)
+  return value === 1 ? `Every ${match[2]}` : `Every ${value} ${match[2]}s`
+}
+
+/**
+ * Describes what a lossy conversion changed, such as "ignoring the Unix day-of-month (on day 15 of the month)"
+ *
+ * @param {string|CronObject} input - Unix cron string or object with cron fields
+ * @param {ConvertOptions} options - Options the input was converted with
+ * @param {ConversionWarning[]} warnings - Warnings raised by the conversion
+ * @returns {string[]} One description per lossy warning
+ */
+function describeLosses(input, options, warnings) {
+  return warnings.filter(warning => LOSSY_WARNINGS.has(warning.code)).map(warning => {
+    if (warning.code === WARNING_CODES.DAY_FIELD_CONFLICT) {
+      // Keeping the dropped field instead shows which days it selected
+      const { expression } = convertDetailed(input, { ...options, dayConflict: warning.field })
+      const tokens = parseAwsTokens(parseAwsFields(expression), true)
+      return warning.field === 'dayOfMonth'
+        ? `ignoring the Unix day-of-month (${describeDayOfMonth(tokens[2])})`
+        : `ignoring the Unix day-of-week (${describeDayOfWeek(tokens[4])})`
+    }
+    if (warning.code === WARNING_CODES.DST_DRIFT) {
+      return `running later in ${options.timezone} local time during daylight saving time`
+    }
+    return `with runs close to midnight on the first or last day of year ${options.year} falling in a different year`
+  })
+}
+
+/**
+ * Describes a one-time at() expression, such as "Once at 09:30 on March 15, 2026"
+ *
+ * @param {string} atExpression - EventBridge Scheduler at() expression
+ * @returns {string} English description
+ * @throws {Error} If the expression is not a valid at() expression
+ */
+function describeAt(atExpression) {
+  const match = atExpression.match(/^\s*at\(((\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}))\)\s*$/)
+  if (!match) {
+    throw new Error(`Invalid at expression: ${atExpression.trim()}`)
+  }
+  const [, timestamp, year, monthText, day, hour, minute, second] = match
+  const month = parseInt(monthText, 10)
+
+  // Date.UTC rolls over out-of-range parts, so a nonexistent date or time comes back different
+  const date = new Date(Date.UTC(parseInt(year, 10), month - 1, parseInt(day, 10), parseInt(hour, 10), parseInt(minute, 10), parseInt(second, 10)))
+  if (date.toISOString().slice(0, 19) !== timestamp) {
+    throw new Error(`Invalid at expression: ${atExpression.trim()} is not a valid date and time`)
+  }
+  const time = second === '00' ? `${hour}:${minute}` : `${hour}:${minute}:${second}`
+  return `Once at ${time} on ${MONTH_FULL_NAMES[month]} ${parseInt(day, 10)}, ${year}`
+}
+
+/**
+ * Describes the minute and hour fields, such as "At 09:30 UTC" or "Every 15 minutes, during hours 09 through 17 UTC"
+ *
+ * @param {FieldToken[]} minute - Parsed minute tokens
+ * @param {FieldToken[]} hour - Parsed hour tokens
+ * @returns {string} English description starting with a capital letter
+ */
+function describeTime(minute, hour) {
+  const pad = (value) => String(value).padStart(2, '0')
+  const isFixed = (tokens) => tokens.every(token => token.type === 'value' && token.step === 1)
+  const isWildcard = (tokens) => tokens.length === 1 && tokens[0].type === 'wildcard'
+
+  if (isFixed(minute) && isFixed(hour)) {
+    const times = expandTokens(hour).flatMap(h => expandTokens(minute).map(m => `${pad(h)}:${pad(m)}`))
+    return `At ${joinList(times)} UTC`
+  }
+
+  let text
+  if (isWildcard(minute)) {
+    text = minute[0].step === 1 ? 'Every minute' : `Every ${minute[0].step} minutes`
+  } else if (minute.length === 1 && minute[0].step > 1) {
+    text = `Every ${describeTokens(minute, 'minute', String).slice('every '.length)}`
+  } else {
+    text = `At ${isFixed(minute) && minute.length === 1 ? 'minute' : 'minutes'} ${describeTokens(minute, 'minute', String)}`
+  }
+
+  if (isWildcard(hour) && hour[0].step === 1) {
+    return isWildcard(minute) ? text : `${text} past every hour`
+  }
+  if (isWildcard(hour)) return `${text}, every ${hour[0].step} hours`
+  if (hour.length === 1 && hour[0].step > 1) return `${text}, ${describeTokens(hour, 'hour', pad)} UTC`
+  return `${text}, during ${isFixed(hour) && hour.length === 1 ? 'hour' : 'hours'} ${describeTokens(hour, 'hour', pad)} UTC`
+}
+
+/**
+ * Describes a restricted day-of-month field, such as "on day 15 of the month" or "on the last weekday of the month"
+ *
+ * @param {FieldToken[]} tokens - Parsed AWS day-of-month tokens
+ * @returns {string} English description
+ */
+function describeDayOfMonth(tokens) {
+  const [token] = tokens
+  if (token.type === 'extension') {
+    if (token.modifier === 'L') return 'on the last day of the month'
+    if (token.modifier === 'LW') return 'on the last weekday of the month'
+    return `on the weekday nearest day ${token.start} of the month`
+  }
+  if (tokens.length === 1 && token.type === 'wildcard') return `every ${token.step} days`
+  const single = tokens.length === 1 && token.type === 'value' && token.step === 1
+  return `on ${single ? 'day' : 'days'} ${describeTokens(tokens, 'day', String)} of the month`
+}
+
+/**
+ * Describes a restricted day-of-week field, such as "Monday through Friday" or "on the second Tuesday of the month"
+ *
+ * @param {FieldToken[]} tokens - Parsed AWS day-of-week tokens
+ * @returns {string} English description
+ */
+function describeDayOfWeek(tokens) {
+  const [token] = tokens
+  if (token.type === 'extension') {
+    // A bare L is the last day of the week
+    if (token.start === null) return 'on Saturday'
+    const day = AWS_DAY_FULL_NAMES[token.start]
+    return token.modifier === '#' ? `on the ${ORDINALS[token.nth]} ${day} of the month` : `on the last ${day} of the month`
+  }
+
+  const days = expandTokens(tokens)
+  const isRange = days.length >= 3 && days.every((day, index) => day === days[0] + index)
+  return `${isRange ? '' : 'on '}${describeNames(days, AWS_DAY_FULL_NAMES)}`
+}
+
+/**
+ * Describes a restricted year field, such as "in 2026" or "every 2 years"
+ *
+ * @param {FieldToken[]} tokens - Parsed year tokens
+ * @returns {string} English description
+ */
+function describeYear(tokens) {
+  if (tokens.length === 1 && tokens[0].type === 'wildcard') return `every ${tokens[0].step} years`
+  return `in ${describeTokens(tokens, 'year', String)}`
+}
+
+/**
+ * Describes the tokens of a numeric field, such as "0, 15 and 30", "9 through 17" or "every 2 hours from hour 08 through 18"
+ *
+ * @param {FieldToken[]} tokens - Parsed tokens
+ * @param {string} unit - Singular unit for steps, such as 'minute'
+ * @param {(value: number) => string} format - Renders a value
+ * @returns {string} English description
+ */
+function describeTokens(tokens, unit, format) {
+  return joinList(tokens.map(({ type, start, end, step }) => {
+    if (step > 1) {
+      const every = `every ${step} ${unit}s`
+      return type === 'wildcard' ? every : `${every} from ${unit} ${format(start)} through ${format(end)}`
+    }
+    return type === 'value' ? format(start) : `${format(start)} through ${format(end)}`
+  }))
+}
+
+/**
+ * Describes sorted values by name, collapsing runs of three or more into "Monday through Friday"
+ *
+ * @param {number[]} values - Sorted, distinct values
+ * @param {string[]} names - Names indexed by value
+ * @returns {string} English description
+ */
+function describeNames(values, names) {
+  const parts = []
+  for (let index = 0; index < values.length;) {
+    let runEnd = index
+    while (runEnd + 1 < values.length && values[runEnd + 1] === values[runEnd] + 1) runEnd++
+    if (runEnd - index >= 2) {
+      parts.push(`${names[values[index]]} through ${names[values[runEnd]]}`)
+    } else {
+      parts.push(...values.slice(index, runEnd + 1).map(value => names[value]))
+    }
+    index = runEnd + 1
+  }
+  return joinList(parts)
+}
+
+/**
+ * Joins items into an English list: "a", "a and b" or "a, b and c"
+ *
+ * @param {string[]} items - Items to join
+ * @returns {string} Joined list
+ */
+function joinList(items) {
+  return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+}
+
+/**
+ * Renders nested objects of strings as block YAML, which is all a CloudFormation resource needs here
+ *
+ * @param {Object<string, string|Object>} object - Object to render
+ * @param {string} [indent=''] - Indentation of the object's keys
+ * @returns {string} YAML lines, each ending in a newline
+ */
+function formatYaml(object, indent = '') {
+  return Object.entries(object).map(([key, value]) => typeof value === 'object'
+    ? `${indent}${formatYamlString(key)}:\n${formatYaml(value, `${indent}  `)}`
+    : `${indent}${formatYamlString(key)}: ${formatYamlString(value)}\n`
+  ).join('')
+}
+
+/**
+ * Renders a string as a YAML scalar, plain when YAML reads it back as the same string
+ * and double-quoted otherwise
+ *
+ * CloudFormation reads YAML 1.1, where words such as OFF, yes and n are booleans, so those are quoted too.
+ *
+ * @param {string} value - String to render
+ * @returns {string} Plain or double-quoted YAML scalar
+ */
+function formatYamlString(value) {
+  const plain = /^[A-Za-z][\w ()*?,/#:.+-]*$/.test(value) &&
+    !/: | #| $/.test(value) &&
+    !/^(?:y|n|yes|no|true|false|on|off|null)$/i.test(value)
+  // JSON strings are valid double-quoted YAML scalars
+  return plain ? value : JSON.stringify(value)
+}
+
+/**
+ * Renders a string as an HCL string literal, escaping template sequences
+ *
+ * @param {string} value - String to render
+ * @returns {string} Quoted HCL string
+ */
+function formatHclString(value) {
+  return JSON.stringify(value).replace(/([$%])\{/g, '$1$1{')
+}
+
+/**
+ * Checks whether Unix cron combines the day fields with OR semantics.
+ * Like Vixie cron, a field starting with '*' (including steps) counts as unrestricted,
+ * in which case both fields must match and no union is needed.
+ */
+function isDayFieldUnion(dayOfMonth, dayOfWeek) {
+  return !dayOfMonth.startsWith('*') && !dayOfWeek.startsWith('*')
+}
+
+/**
+ * Splits a schedule with both day fields restricted into one day-of-month rule
+ * and one day-of-week rule, since AWS cannot combine them in a single expression
+ */
+function splitDayFieldUnion(dayOfMonth, dayOfWeek) {
+  return [
+    { awsDayOfMonth: dayOfMonth, awsDayOfWeek: '?' },
+    { awsDayOfMonth: '?', awsDayOfWeek: dayOfWeek }
+  ]
+}
+
 /**
  * Validates and formats the year field
+ *
+ * Years from the expression and from the year parameter follow the same rules as
+ * the other fields, so lists, ranges and steps work in both.
+ *
+ * @param {string|number} year - Year field for AWS
+ * @param {number} [position] - 1-based position of the year field in the expression, when it came from there
+ * @returns {string} Year field text
+ * @throws {Error} If the year field is invalid or outside 1970-2199
  */
-function validateYear(year) {
-  if (year === '*') return '*'
-  
-  const yearNum = parseInt(year)
-  if (isNaN(yearNum) || yearNum < 1970 || yearNum > 2199) {
-    throw new Error('Year must be between 1970-2199 or "*"')
+function validateYear(year, position) {
+  const text = year.toString()
+  if (position !== undefined) {
+    parseField(text, AWS_FIELDS[5], position)
+    return text
   }
-  
-  return year.toString()
+
+  try {
+    parseField(text, AWS_FIELDS[5], 1)
+  } catch (error) {
+    throw new Error(`Year must be between 1970-2199 or "*" (${error.message})`)
+  }
+  return text
 }
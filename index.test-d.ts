@@ -0,0 +1,137 @@
+import convertUnixToAwsCron, {
+  convertDetailed,
+  convertUnixToAwsCronSet,
+  convertDetailedSet,
+  toSchedulerExpression,
+  convertAwsToUnixCron,
+  getNextRuns,
+  verifyConversion,
+  convertCrontabLine,
+  parseCrontab,
+  describeSchedule,
+  toTerraform,
+  toCloudFormation,
+  toCdkCronOptions,
+  WARNING_CODES,
+  LossyConversionError,
+  type AwsCronExpression,
+  type CronObject,
+  type WarningCode
+} from './index.js'
+import { parseKubernetesCronJobs, parseGitHubSchedules, parseGitLabSchedules } from './schedules.js'
+
+/** Fails to compile unless the two types are identical */
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+function expectType<T extends true>(): void {}
+
+const cronObject: CronObject = { minute: '30', hour: '9', dayOfMonth: '*', month: '*', dayOfWeek: '1-5' }
+
+// Wrapped conversions return branded expressions
+const expression = convertUnixToAwsCron('30 9 * * 1-5')
+expectType<Equal<typeof expression, AwsCronExpression>>()
+
+const fromObject: AwsCronExpression = convertUnixToAwsCron(cronObject, '2025')
+const withOptions: AwsCronExpression = convertUnixToAwsCron('0 12 * * *', { year: 2025, nameStyle: 'names', rate: true })
+const withYearAndOptions: AwsCronExpression = convertUnixToAwsCron('0 12 * * *', 2025, { strict: true })
+
+// The brand still reads as a cron() or rate() string
+const asString: `cron(${string})` | `rate(${string})` = expression
+
+// Plain strings are not converted expressions
+// @ts-expect-error
+const notConverted: AwsCronExpression = 'cron(0 12 ? * ? *)'
+
+// Unwrapped conversions return plain strings
+const unwrapped = convertUnixToAwsCron('0 12 * * *', { wrap: false })
+expectType<Equal<typeof unwrapped, string>>()
+// @ts-expect-error
+const unwrappedIsNotBranded: AwsCronExpression = unwrapped
+
+// Invalid objects are caught like validateCronObject catches them at runtime
+// @ts-expect-error
+convertUnixToAwsCron({ minute: '0', hour: '12', dayOfMonth: '*', month: '*' })
+// @ts-expect-error
+convertUnixToAwsCron({ minute: 0, hour: '12', dayOfMonth: '*', month: '*', dayOfWeek: '*' })
+// @ts-expect-error
+convertUnixToAwsCron({ ...cronObject, year: 2025 })
+// @ts-expect-error
+convertUnixToAwsCron(['0', '12', '*', '*', '*'])
+// @ts-expect-error
+convertUnixToAwsCron(null)
+
+// Invalid options
+// @ts-expect-error
+convertUnixToAwsCron('0 12 * * *', { nameStyle: 'short' })
+// @ts-expect-error
+convertUnixToAwsCron('0 12 * * *', { dayConflict: 'both' })
+// @ts-expect-error
+convertUnixToAwsCron('0 12 * * *', { dialect: 'quartz' })
+// @ts-expect-error
+convertUnixToAwsCron('0 12 * * *', '2025', { year: '2026' })
+
+// Detailed results
+const detailed = convertDetailed('0 12 15 * 1')
+expectType<Equal<typeof detailed.expression, AwsCronExpression>>()
+expectType<Equal<typeof detailed.warnings[number]['code'], WarningCode>>()
+const code: 'DAY_FIELD_CONFLICT' = WARNING_CODES.DAY_FIELD_CONFLICT
+const rateCode: WarningCode = WARNING_CODES.RATE_ANCHOR
+// @ts-expect-error
+WARNING_CODES.DST_DRIFT = 'OTHER'
+const unwrappedDetailed: string = convertDetailed('0 12 * * *', { wrap: false }).expression
+
+const set: AwsCronExpression[] = convertUnixToAwsCronSet('0 12 15 * 1')
+const unwrappedSet: string[] = convertUnixToAwsCronSet('0 12 15 * 1', { wrap: false })
+const detailedSet = convertDetailedSet('0 12 15 * 1', { timezone: 'Europe/Oslo' })
+expectType<Equal<typeof detailedSet.expressions, AwsCronExpression[]>>()
+const unwrappedDetailedSet: string[] = convertDetailedSet('0 12 15 * 1', '2026', { wrap: false }).expressions
+
+try {
+  convertUnixToAwsCron('0 12 15 * 1', { strict: true })
+} catch (error) {
+  if (error instanceof LossyConversionError) {
+    const warningCode: WarningCode = error.code
+    const field: keyof CronObject = error.field
+  }
+}
+
+// Scheduler
+const scheduled = toSchedulerExpression('CRON_TZ=Europe/Oslo 0 9 * * 1-5')
+const scheduleExpression: AwsCronExpression | `at(${string})` = scheduled.ScheduleExpression
+const scheduleTimezone: string = scheduled.ScheduleExpressionTimezone
+
+// Other functions
+const unix: string = convertAwsToUnixCron('cron(30 9 ? * 2-6 *)')
+const runs: Date[] = getNextRuns('0 12 * * *', new Date(), 3)
+const verified: boolean = verifyConversion(cronObject, set, { years: 1 }).exact
+const line = convertCrontabLine('0 0 28-31 * * run')
+const idiom: 'lastDayOfMonth' | 'nthWeekday' | null = line.idiom
+// @ts-expect-error
+const lineExpression: string = line.expression
+const entries = parseCrontab('', { format: 'system' })
+const user: string | null = entries[0].user
+const entryExpressions: string[] = entries[0].expressions
+// @ts-expect-error
+parseCrontab('', { format: 'bsd' })
+const cronJobs = parseKubernetesCronJobs('', { year: 2026 })
+const namespace: string | null = cronJobs[0].namespace
+const cronJobExpressions: string[] = cronJobs[0].expressions
+// @ts-expect-error
+parseKubernetesCronJobs('', { timezone: 1 })
+const githubExpression: string | null = parseGitHubSchedules('', { rate: true })[0].expression
+// @ts-expect-error
+parseGitHubSchedules('', { timezone: 'Europe/Oslo' })
+const gitlabTimeZone: string = parseGitLabSchedules([{ cron: '0 1 * * *', cron_timezone: 'Asia/Tokyo' }])[0].timeZone
+// @ts-expect-error
+parseGitLabSchedules([{ description: 'missing cron' }])
+const hashed: AwsCronExpression = convertUnixToAwsCron('H H(0-7) * * *', { seed: 'nightly-build' })
+// @ts-expect-error
+convertUnixToAwsCron('H * * * *', { seed: 42 })
+const description: string = describeSchedule('cron(0 12 ? * 3#2 *)')
+
+// Infrastructure as code
+const hcl: string = toTerraform('0 12 * * *', { name: 'nightly', year: 2026 })
+const template: string = toCloudFormation('0 12 * * *', { resource: 'scheduler', format: 'yaml' })
+// @ts-expect-error
+toCloudFormation('0 12 * * *', { format: 'xml' })
+const cdk = toCdkCronOptions('30 9 * * 1-5', '2026')
+const weekDay: string | undefined = cdk.weekDay
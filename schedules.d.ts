@@ -0,0 +1,83 @@
+import type { ConversionWarning, ConvertOptions } from './index.js'
+
+export interface KubernetesCronJob {
+  /** 1-based index of the YAML document the CronJob is in */
+  document: number
+  /** metadata.name */
+  name: string | null
+  /** metadata.namespace, or null when the manifest does not set one */
+  namespace: string | null
+  /** spec.schedule as written, including any CRON_TZ= or TZ= prefix */
+  schedule: string | null
+  /** Timezone from spec.timeZone or the schedule prefix, or null for the controller's local time */
+  timeZone: string | null
+  /** Whether spec.suspend is set */
+  suspend: boolean
+  /** AWS EventBridge expression in UTC, or null if the CronJob could not be converted or needs several */
+  expression: string | null
+  /** All AWS EventBridge expressions in UTC that together match the CronJob, empty if it could not be converted */
+  expressions: string[]
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Why the CronJob could not be converted, or null */
+  error: string | null
+}
+
+/**
+ * Converts the schedule of every CronJob in Kubernetes YAML manifests
+ */
+export declare function parseKubernetesCronJobs(manifests: string, options?: ConvertOptions): KubernetesCronJob[]
+
+export interface GitHubSchedule {
+  /** 0-based position in on.schedule */
+  index: number
+  /** Cron string as written in the workflow */
+  cron: string | null
+  /** AWS EventBridge expression, or null if the schedule could not be converted */
+  expression: string | null
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Why the schedule could not be converted, or null */
+  error: string | null
+}
+
+/**
+ * Converts the on.schedule cron strings of a GitHub Actions workflow; GitHub schedules always run in UTC
+ */
+export declare function parseGitHubSchedules(workflow: string, options?: Omit<ConvertOptions, 'timezone'>): GitHubSchedule[]
+
+/** A pipeline schedule as returned by the GitLab API */
+export interface GitLabPipelineSchedule {
+  id?: number
+  description?: string
+  ref?: string
+  cron: string
+  cron_timezone?: string
+  active?: boolean
+}
+
+export interface GitLabSchedule {
+  /** Pipeline schedule ID */
+  id: number | null
+  /** Pipeline schedule description */
+  description: string | null
+  /** Branch or tag the pipeline runs for */
+  ref: string | null
+  /** Whether the schedule is active */
+  active: boolean
+  /** Cron string as configured */
+  cron: string | null
+  /** cron_timezone as written, IANA or Rails name, 'UTC' when not set */
+  timeZone: string
+  /** AWS EventBridge expression in UTC, or null if the schedule could not be converted */
+  expression: string | null
+  /** Decisions made during conversion */
+  warnings: ConversionWarning[]
+  /** Why the schedule could not be converted, or null */
+  error: string | null
+}
+
+/**
+ * Converts GitLab pipeline schedules, parsed or as JSON or YAML text, shifting each from its cron_timezone to UTC
+ */
+export declare function parseGitLabSchedules(schedules: string | GitLabPipelineSchedule[], options?: Omit<ConvertOptions, 'timezone'>): GitLabSchedule[]
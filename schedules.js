@@ -0,0 +1,426 @@
+import { parse as parseYaml, parseAllDocuments, parseDocument } from 'yaml'
+import { convertDetailed, convertDetailedSet, getNextRuns } from './index.js'
+
+/**
+ * @typedef {import('./index.js').ConvertOptions} ConvertOptions
+ * @typedef {import('./index.js').ConversionWarning} ConversionWarning
+ */
+
+// GitHub Actions runs scheduled workflows at most this often, in minutes
+const GITHUB_MINIMUM_INTERVAL = 5
+
+// Rails (ActiveSupport::TimeZone) names GitLab accepts as cron_timezone, and the IANA zone each stands for
+const RAILS_TIME_ZONES = {
+  'International Date Line West': 'Etc/GMT+12',
+  'Midway Island': 'Pacific/Midway',
+  'American Samoa': 'Pacific/Pago_Pago',
+  'Hawaii': 'Pacific/Honolulu',
+  'Alaska': 'America/Juneau',
+  'Pacific Time (US & Canada)': 'America/Los_Angeles',
+  'Tijuana': 'America/Tijuana',
+  'Mountain Time (US & Canada)': 'America/Denver',
+  'Arizona': 'America/Phoenix',
+  'Chihuahua': 'America/Chihuahua',
+  'Mazatlan': 'America/Mazatlan',
+  'Central Time (US & Canada)': 'America/Chicago',
+  'Saskatchewan': 'America/Regina',
+  'Guadalajara': 'America/Mexico_City',
+  'Mexico City': 'America/Mexico_City',
+  'Monterrey': 'America/Monterrey',
+  'Central America': 'America/Guatemala',
+  'Eastern Time (US & Canada)': 'America/New_York',
+  'Indiana (East)': 'America/Indiana/Indianapolis',
+  'Bogota': 'America/Bogota',
+  'Lima': 'America/Lima',
+  'Quito': 'America/Lima',
+  'Atlantic Time (Canada)': 'America/Halifax',
+  'Caracas': 'America/Caracas',
+  'La Paz': 'America/La_Paz',
+  'Santiago': 'America/Santiago',
+  'Newfoundland': 'America/St_Johns',
+  'Brasilia': 'America/Sao_Paulo',
+  'Buenos Aires': 'America/Argentina/Buenos_Aires',
+  'Montevideo': 'America/Montevideo',
+  'Georgetown': 'America/Guyana',
+  'Puerto Rico': 'America/Puerto_Rico',
+  'Greenland': 'America/Nuuk',
+  'Mid-Atlantic': 'Atlantic/South_Georgia',
+  'Azores': 'Atlantic/Azores',
+  'Cape Verde Is.': 'Atlantic/Cape_Verde',
+  'Dublin': 'Europe/Dublin',
+  'Edinburgh': 'Europe/London',
+  'Lisbon': 'Europe/Lisbon',
+  'London': 'Europe/London',
+  'Casablanca': 'Africa/Casablanca',
+  'Monrovia': 'Africa/Monrovia',
+  'UTC': 'Etc/UTC',
+  'Belgrade': 'Europe/Belgrade',
+  'Bratislava': 'Europe/Bratislava',
+  'Budapest': 'Europe/Budapest',
+  'Ljubljana': 'Europe/Ljubljana',
+  'Prague': 'Europe/Prague',
+  'Sarajevo': 'Europe/Sarajevo',
+  'Skopje': 'Europe/Skopje',
+  'Warsaw': 'Europe/Warsaw',
+  'Zagreb': 'Europe/Zagreb',
+  'Brussels': 'Europe/Brussels',
+  'Copenhagen': 'Europe/Copenhagen',
+  'Madrid': 'Europe/Madrid',
+  'Paris': 'Europe/Paris',
+  'Amsterdam': 'Europe/Amsterdam',
+  'Berlin': 'Europe/Berlin',
+  'Bern': 'Europe/Zurich',
+  'Zurich': 'Europe/Zurich',
+  'Rome': 'Europe/Rome',
+  'Stockholm': 'Europe/Stockholm',
+  'Vienna': 'Europe/Vienna',
+  'West Central Africa': 'Africa/Algiers',
+  'Bucharest': 'Europe/Bucharest',
+  'Cairo': 'Africa/Cairo',
+  'Helsinki': 'Europe/Helsinki',
+  'Kyiv': 'Europe/Kiev',
+  'Riga': 'Europe/Riga',
+  'Sofia': 'Europe/Sofia',
+  'Tallinn': 'Europe/Tallinn',
+  'Vilnius': 'Europe/Vilnius',
+  'Athens': 'Europe/Athens',
+  'Istanbul': 'Europe/Istanbul',
+  'Minsk': 'Europe/Minsk',
+  'Jerusalem': 'Asia/Jerusalem',
+  'Harare': 'Africa/Harare',
+  'Pretoria': 'Africa/Johannesburg',
+  'Kaliningrad': 'Europe/Kaliningrad',
+  'Moscow': 'Europe/Moscow',
+  'St. Petersburg': 'Europe/Moscow',
+  'Volgograd': 'Europe/Volgograd',
+  'Samara': 'Europe/Samara',
+  'Kuwait': 'Asia/Kuwait',
+  'Riyadh': 'Asia/Riyadh',
+  'Nairobi': 'Africa/Nairobi',
+  'Baghdad': 'Asia/Baghdad',
+  'Tehran': 'Asia/Tehran',
+  'Abu Dhabi': 'Asia/Muscat',
+  'Muscat': 'Asia/Muscat',
+  'Baku': 'Asia/Baku',
+  'Tbilisi': 'Asia/Tbilisi',
+  'Yerevan': 'Asia/Yerevan',
+  'Kabul': 'Asia/Kabul',
+  'Ekaterinburg': 'Asia/Yekaterinburg',
+  'Islamabad': 'Asia/Karachi',
+  'Karachi': 'Asia/Karachi',
+  'Tashkent': 'Asia/Tashkent',
+  'Chennai': 'Asia/Kolkata',
+  'Kolkata': 'Asia/Kolkata',
+  'Mumbai': 'Asia/Kolkata',
+  'New Delhi': 'Asia/Kolkata',
+  'Kathmandu': 'Asia/Kathmandu',
+  'Astana': 'Asia/Dhaka',
+  'Dhaka': 'Asia/Dhaka',
+  'Sri Jayawardenepura': 'Asia/Colombo',
+  'Almaty': 'Asia/Almaty',
+  'Novosibirsk': 'Asia/Novosibirsk',
+  'Rangoon': 'Asia/Rangoon',
+  'Bangkok': 'Asia/Bangkok',
+  'Hanoi': 'Asia/Bangkok',
+  'Jakarta': 'Asia/Jakarta',
+  'Krasnoyarsk': 'Asia/Krasnoyarsk',
+  'Beijing': 'Asia/Shanghai',
+  'Chongqing': 'Asia/Chongqing',
+  'Hong Kong': 'Asia/Hong_Kong',
+  'Urumqi': 'Asia/Urumqi',
+  'Kuala Lumpur': 'Asia/Kuala_Lumpur',
+  'Singapore': 'Asia/Singapore',
+  'Taipei': 'Asia/Taipei',
+  'Perth': 'Australia/Perth',
+  'Irkutsk': 'Asia/Irkutsk',
+  'Ulaanbaatar': 'Asia/Ulaanbaatar',
+  'Seoul': 'Asia/Seoul',
+  'Osaka': 'Asia/Tokyo',
+  'Sapporo': 'Asia/Tokyo',
+  'Tokyo': 'Asia/Tokyo',
+  'Yakutsk': 'Asia/Yakutsk',
+  'Darwin': 'Australia/Darwin',
+  'Adelaide': 'Australia/Adelaide',
+  'Canberra': 'Australia/Melbourne',
+  'Melbourne': 'Australia/Melbourne',
+  'Sydney': 'Australia/Sydney',
+  'Brisbane': 'Australia/Brisbane',
+  'Hobart': 'Australia/Hobart',
+  'Vladivostok': 'Asia/Vladivostok',
+  'Guam': 'Pacific/Guam',
+  'Port Moresby': 'Pacific/Port_Moresby',
+  'Magadan': 'Asia/Magadan',
+  'Srednekolymsk': 'Asia/Srednekolymsk',
+  'Solomon Is.': 'Pacific/Guadalcanal',
+  'New Caledonia': 'Pacific/Noumea',
+  'Fiji': 'Pacific/Fiji',
+  'Kamchatka': 'Asia/Kamchatka',
+  'Marshall Is.': 'Pacific/Majuro',
+  'Auckland': 'Pacific/Auckland',
+  'Wellington': 'Pacific/Auckland',
+  "Nuku'alofa": 'Pacific/Tongatapu',
+  'Tokelau Is.': 'Pacific/Fakaofo',
+  'Chatham Is.': 'Pacific/Chatham',
+  'Samoa': 'Pacific/Apia'
+}
+
+/**
+ * @typedef {Object} KubernetesCronJob
+ * @property {number} document - 1-based index of the YAML document the CronJob is in
+ * @property {string|null} name - metadata.name
+ * @property {string|null} namespace - metadata.namespace, or null when the manifest does not set one
+ * @property {string|null} schedule - spec.schedule as written, including any CRON_TZ= or TZ= prefix
+ * @property {string|null} timeZone - Timezone from spec.timeZone or the schedule prefix, or null for the controller's local time
+ * @property {boolean} suspend - Whether spec.suspend is set, so the rule should start disabled
+ * @property {string|null} expression - AWS EventBridge expression in UTC, or null if the CronJob could not be converted or needs several
+ * @property {string[]} expressions - All AWS EventBridge expressions in UTC that together match the CronJob, empty if it could not be converted
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {string|null} error - Why the CronJob could not be converted, or null
+ */
+
+/**
+ * Converts the schedules of Kubernetes CronJobs to AWS EventBridge expressions
+ *
+ * Reads every YAML document (and the items of List documents), and converts spec.schedule of
+ * each CronJob in the timezone from spec.timeZone or a CRON_TZ= or TZ= schedule prefix. Other
+ * kinds are skipped. A CronJob that cannot be converted gets an error instead of stopping the rest.
+ * Schedules that need several AWS expressions, such as one that moves partly to another day in UTC,
+ * list all of them in expressions.
+ *
+ * @param {string} manifests - YAML with one or more Kubernetes objects
+ * @param {ConvertOptions} [options={}] - Conversion options
+ * @returns {KubernetesCronJob[]} One entry per CronJob, in document order
+ * @throws {Error} If the YAML is invalid
+ */
+export function parseKubernetesCronJobs(manifests, options = {}) {
+  if (typeof manifests !== 'string') {
+    throw new Error('Kubernetes manifests must be a string')
+  }
+
+  const entries = []
+
+  parseAllDocuments(manifests).forEach((document, index) => {
+    if (document.errors.length > 0) {
+      throw new Error(`Invalid YAML in document ${index + 1}: ${document.errors[0].message.split('\n')[0]}`)
+    }
+
+    const object = document.toJS()
+    const objects = object?.kind === 'List' && Array.isArray(object.items) ? object.items : [object]
+    for (const item of objects) {
+      if (item?.kind === 'CronJob') entries.push(convertCronJob(item, index + 1, options))
+    }
+  })
+
+  return entries
+}
+
+/**
+ * @typedef {Object} GitHubSchedule
+ * @property {number} index - 0-based position in on.schedule
+ * @property {string|null} cron - Cron string as written in the workflow
+ * @property {string|null} expression - AWS EventBridge expression, or null if the schedule could not be converted
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {string|null} error - Why the schedule could not be converted, or null
+ */
+
+/**
+ * Converts the on.schedule cron strings of a GitHub Actions workflow to AWS EventBridge expressions
+ *
+ * GitHub runs schedules in UTC, so no timezone is applied. Schedules GitHub would not run as
+ * written (nicknames such as @daily, day-of-week 7 or intervals under 5 minutes) get an error.
+ *
+ * @param {string} workflow - Workflow file contents
+ * @param {ConvertOptions} [options={}] - Conversion options, without timezone
+ * @returns {GitHubSchedule[]} One entry per schedule, or none if the workflow is not scheduled
+ * @throws {Error} If the YAML is invalid, on.schedule is not a list or a timezone is given
+ */
+export function parseGitHubSchedules(workflow, options = {}) {
+  if (typeof workflow !== 'string') {
+    throw new Error('GitHub workflow must be a string')
+  }
+  if (options.timezone !== undefined) {
+    throw new Error('GitHub Actions schedules always run in UTC, so the timezone option cannot be used')
+  }
+
+  const document = parseDocument(workflow)
+  if (document.errors.length > 0) {
+    throw new Error(`Invalid YAML: ${document.errors[0].message.split('\n')[0]}`)
+  }
+
+  const schedules = document.toJS()?.on?.schedule
+  if (schedules === undefined || schedules === null) return []
+  if (!Array.isArray(schedules)) {
+    throw new Error('on.schedule must be a list of cron entries')
+  }
+
+  return schedules.map((schedule, index) => {
+    const entry = { index, cron: schedule?.cron ?? null, expression: null, warnings: [], error: null }
+    try {
+      if (typeof entry.cron !== 'string') {
+        throw new Error('cron must be a string')
+      }
+      if (entry.cron.trim().startsWith('@')) {
+        throw new Error(`GitHub Actions does not support cron nicknames such as ${entry.cron.trim()}`)
+      }
+      assertGitHubSchedule(entry.cron)
+
+      const { expression, warnings } = convertDetailed(entry.cron, options)
+      entry.expression = expression
+      entry.warnings = warnings
+    } catch (error) {
+      entry.error = error.message
+    }
+    return entry
+  })
+}
+
+/**
+ * @typedef {Object} GitLabSchedule
+ * @property {number|null} id - Pipeline schedule ID
+ * @property {string|null} description - Pipeline schedule description
+ * @property {string|null} ref - Branch or tag the pipeline runs for
+ * @property {boolean} active - Whether the schedule is active
+ * @property {string|null} cron - Cron string as configured
+ * @property {string} timeZone - cron_timezone as written, IANA or Rails name, 'UTC' when not set
+ * @property {string|null} expression - AWS EventBridge expression in UTC, or null if the schedule could not be converted
+ * @property {ConversionWarning[]} warnings - Decisions made during conversion
+ * @property {string|null} error - Why the schedule could not be converted, or null
+ */
+
+/**
+ * Converts GitLab pipeline schedules to AWS EventBridge expressions
+ *
+ * Takes the schedules as returned by the GitLab API (GET /projects/:id/pipeline_schedules), either
+ * parsed or as JSON or YAML text, and shifts each cron to UTC from its cron_timezone. Rails
+ * timezone names such as 'Pacific Time (US & Canada)' are read as the IANA zone they stand for.
+ *
+ * @param {string|Object[]} schedules - Pipeline schedules, or JSON or YAML text of them
+ * @param {ConvertOptions} [options={}] - Conversion options, without timezone
+ * @returns {GitLabSchedule[]} One entry per pipeline schedule
+ * @throws {Error} If the text is invalid or the schedules are not a list
+ */
+export function parseGitLabSchedules(schedules, options = {}) {
+  if (options.timezone !== undefined) {
+    throw new Error('GitLab pipeline schedules set their own cron_timezone, so the timezone option cannot be used')
+  }
+
+  let list = schedules
+  if (typeof schedules === 'string') {
+    try {
+      list = parseYaml(schedules)
+    } catch (error) {
+      throw new Error(`Invalid GitLab pipeline schedules: ${error.message.split('\n')[0]}`)
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('GitLab pipeline schedules must be a list')
+  }
+
+  return list.map(schedule => {
+    const entry = {
+      id: schedule?.id ?? null,
+      description: schedule?.description ?? null,
+      ref: schedule?.ref ?? null,
+      active: schedule?.active !== false,
+      cron: schedule?.cron ?? null,
+      timeZone: schedule?.cron_timezone ?? 'UTC',
+      expression: null,
+      warnings: [],
+      error: null
+    }
+    try {
+      if (typeof entry.cron !== 'string') {
+        throw new Error('cron must be a string')
+      }
+
+      const timezone = Object.hasOwn(RAILS_TIME_ZONES, entry.timeZone) ? RAILS_TIME_ZONES[entry.timeZone] : entry.timeZone
+      const { expression, warnings } = convertDetailed(entry.cron, { ...options, timezone })
+      entry.expression = expression
+      entry.warnings = warnings
+    } catch (error) {
+      entry.error = error.message
+    }
+    return entry
+  })
+}
+
+/**
+ * Converts the schedule of one Kubernetes CronJob object
+ *
+ * @param {Object} cronJob - Parsed CronJob object
+ * @param {number} document - 1-based index of the YAML document
+ * @param {ConvertOptions} options - Conversion options
+ * @returns {KubernetesCronJob} Converted CronJob
+ */
+function convertCronJob(cronJob, document, options) {
+  const schedule = cronJob.spec?.schedule ?? null
+  const entry = {
+    document,
+    name: cronJob.metadata?.name ?? null,
+    namespace: cronJob.metadata?.namespace ?? null,
+    schedule,
+    timeZone: cronJob.spec?.timeZone ?? null,
+    suspend: cronJob.spec?.suspend === true,
+    expression: null,
+    expressions: [],
+    warnings: [],
+    error: null
+  }
+
+  try {
+    if (typeof schedule !== 'string') {
+      throw new Error('spec.schedule must be a string')
+    }
+
+    let unixCron = schedule
+    const prefix = schedule.match(/^\s*(?:CRON_TZ|TZ)=(\S+)\s+(.*)$/)
+    if (prefix) {
+      // Kubernetes rejects CronJobs that set both
+      if (entry.timeZone !== null) {
+        throw new Error('spec.timeZone and a CRON_TZ= or TZ= schedule prefix cannot both be set')
+      }
+      entry.timeZone = prefix[1]
+      unixCron = prefix[2]
+    }
+
+    const { expressions, warnings } = convertDetailedSet(unixCron, { ...options, timezone: entry.timeZone ?? options.timezone })
+    entry.expression = expressions.length === 1 ? expressions[0] : null
+    entry.expressions = expressions
+    entry.warnings = warnings
+  } catch (error) {
+    entry.error = error.message
+  }
+
+  return entry
+}
+
+/**
+ * Checks a schedule against GitHub's documented cron syntax and its minimum interval
+ *
+ * GitHub only accepts days of the week 0-6. For the interval, only the minute and hour fields
+ * are compared, so runs at minute 58 and 0 count as close only when the schedule also runs in
+ * consecutive hours.
+ *
+ * @param {string} unixCron - 5-field Unix crontab expression
+ * @throws {Error} If the schedule is invalid, uses day-of-week 7, or two runs can be less than 5 minutes apart
+ */
+function assertGitHubSchedule(unixCron) {
+  // GitHub has no H tokens or AWS extensions, so the schedule is checked as plain Unix cron first
+  convertDetailed(unixCron)
+  const [minute, hour, , , dayOfWeek] = unixCron.matchAll(/\S+/g)
+
+  let offset = 0
+  for (const text of dayOfWeek[0].split(',')) {
+    if (/^(?:\w+-)?0*7$/.test(text.split('/')[0])) {
+      throw new Error(`Invalid day-of-week token "${text}" at position ${dayOfWeek.index + 1 + offset}: GitHub Actions only accepts days of the week 0-6, with Sunday as 0`)
+    }
+    offset += text.length + 1
+  }
+
+  // A day of runs plus the first run of the next day covers every gap, including the one across midnight
+  const runs = getNextRuns(`${minute[0]} ${hour[0]} * * *`, new Date(0), 24 * 60 + 1)
+  const interval = Math.min(...runs.slice(1).map((run, index) => (run - runs[index]) / 60000))
+  if (interval < GITHUB_MINIMUM_INTERVAL) {
+    throw new Error(`GitHub Actions runs scheduled workflows at most once every ${GITHUB_MINIMUM_INTERVAL} minutes, but "${unixCron.trim()}" runs ${interval === 1 ? 'every minute' : `every ${interval} minutes`}`)
+  }
+}
@@ -1,9 +1,26 @@
 import { test, describe } from 'node:test'
 import assert from 'node:assert'
-import convertUnixToAwsCron from './index.js'
+import { spawnSync } from 'node:child_process'
+import { readFileSync } from 'node:fs'
+import { parse as parseYaml } from 'yaml'
+import convertUnixToAwsCron, { convertUnixToAwsCronSet, convertAwsToUnixCron, getNextRuns, verifyConversion, convertDetailed, convertDetailedSet, toSchedulerExpression, convertCrontabLine, parseCrontab, describeSchedule, toTerraform, toCloudFormation, toCdkCronOptions, WARNING_CODES, LossyConversionError } from './index.js'
+import { parseKubernetesCronJobs, parseGitHubSchedules, parseGitLabSchedules } from './schedules.js'
 
 describe('Unix Crontab to AWS EventBridge Converter', () => {
-  
+  // Collects console.warn output while running fn
+  const captureWarnings = (fn) => {
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (message) => {
+      warnings.push(message);
+    };
+    try {
+      return { result: fn(), warnings };
+    } finally {
+      console.warn = originalWarn;
+    }
+  };
+
   describe('Basic conversions', () => {
     const testCases = [
       {
@@ -183,6 +200,13 @@ describe('Unix Crontab to AWS EventBridge Converter', () => {
         expected: 'cron(0 0 1 1 ? 2024-2026)',
         description: 'Should handle year ranges'
       },
+      {
+        name: 'Year step',
+        input: '0 0 1 1 *',
+        year: '2024/2',
+        expected: 'cron(0 0 1 1 ? 2024/2)',
+        description: 'Should accept the same year syntax as a trailing year field'
+      },
       {
         name: 'Wildcard year',
         input: '30 14 * * 5',
@@ -689,6 +713,14 @@ describe('Unix Crontab to AWS EventBridge Converter', () => {
       );
     });
 
+    test('Invalid year - trailing letters', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('0 0 1 1 *', '2027abc'),
+        /Year must be between 1970-2199 or "\*" \(Invalid year token "2027abc" at position 1: "2027abc" is not a number\)/,
+        'Should throw error for a year that only starts with a number'
+      );
+    });
+
     test('Invalid year - not a number', () => {
       assert.throws(
         () => convertUnixToAwsCron('0 12 * * *', 'invalid'),
@@ -1102,4 +1134,2113 @@ describe('Unix Crontab to AWS EventBridge Converter', () => {
       })
     })
   })
+
+  describe('Day field union conversions', () => {
+    const testCases = [
+      {
+        name: 'Both day fields specified - one rule per day field',
+        input: '0 12 15 * 1',
+        expected: ['cron(0 12 15 * ? *)', 'cron(0 12 ? * 2 *)'],
+        description: 'Should fire on the 15th or on Mondays'
+      },
+      {
+        name: 'Both day fields with ranges',
+        input: '30 9 1-7 * 1-5',
+        expected: ['cron(30 9 1-7 * ? *)', 'cron(30 9 ? * 2-6 *)'],
+        description: 'Should keep both ranges in separate rules'
+      },
+      {
+        name: 'Only day-of-week specified',
+        input: '0 9 * * 1-5',
+        expected: ['cron(0 9 ? * 2-6 *)'],
+        description: 'Should return a single expression when no union is needed'
+      },
+      {
+        name: 'Only day-of-month specified',
+        input: '0 0 1 * *',
+        expected: ['cron(0 0 1 * ? *)'],
+        description: 'Should return a single expression when no union is needed'
+      }
+    ];
+
+    testCases.forEach(({ name, input, expected, description }) => {
+      test(name, () => {
+        const result = convertUnixToAwsCronSet(input);
+        assert.deepStrictEqual(result, expected, description);
+      });
+    });
+
+    test('Should apply year parameter to every rule', () => {
+      const result = convertUnixToAwsCronSet('0 12 15 * 1', '2025');
+      assert.deepStrictEqual(result, ['cron(0 12 15 * ? 2025)', 'cron(0 12 ? * 2 2025)']);
+    });
+
+    test('Should accept object input', () => {
+      const result = convertUnixToAwsCronSet({ minute: '0', hour: '12', dayOfMonth: '15', month: '*', dayOfWeek: '1' });
+      assert.deepStrictEqual(result, ['cron(0 12 15 * ? *)', 'cron(0 12 ? * 2 *)']);
+    });
+
+    test('Should not warn when the union is exact', () => {
+      const originalWarn = console.warn;
+      let warnCalled = false;
+      console.warn = () => {
+        warnCalled = true;
+      };
+
+      convertUnixToAwsCronSet('0 12 15 * 1');
+
+      console.warn = originalWarn;
+
+      assert.strictEqual(warnCalled, false, 'Should not warn when both day rules are kept');
+    });
+
+    test('Star-prefixed day field falls back to day-of-week', () => {
+      const originalWarn = console.warn;
+      console.warn = () => {};
+
+      const result = convertUnixToAwsCronSet('0 8 */2 6 0,6');
+
+      console.warn = originalWarn;
+
+      assert.deepStrictEqual(result, ['cron(0 8 ? 6 1,7 *)'], 'Unix cron requires both fields to match when one starts with *');
+    });
+  })
+
+  describe('Field validation', () => {
+    const validCases = [
+      { name: 'Minute step', input: '*/5 * * * *' },
+      { name: 'Range with step', input: '0 9-17/2 * * *' },
+      { name: 'Stepped single value', input: '5/15 * * * *' },
+      { name: 'List of ranges', input: '0 0 1-5,10-15 * *' },
+      { name: 'Upper bounds', input: '59 23 31 12 7' },
+      { name: 'Lower bounds', input: '0 0 1 1 0' }
+    ];
+
+    validCases.forEach(({ name, input }) => {
+      test(`${name} should be accepted`, () => {
+        assert.doesNotThrow(() => convertUnixToAwsCron(input));
+      });
+    });
+
+    const invalidCases = [
+      {
+        name: 'Minute out of range',
+        input: '99 25 40 13 9',
+        expected: /Invalid minute token "99" at position 1: value must be between 0 and 59/
+      },
+      {
+        name: 'Hour out of range',
+        input: '0 25 * * *',
+        expected: /Invalid hour token "25" at position 3: value must be between 0 and 23/
+      },
+      {
+        name: 'Day-of-month zero',
+        input: '0 0 0 * *',
+        expected: /Invalid day-of-month token "0" at position 5: value must be between 1 and 31/
+      },
+      {
+        name: 'Month out of range in list',
+        input: '0 0 1 1,13 *',
+        expected: /Invalid month token "13" at position 9: value must be between 1 and 12/
+      },
+      {
+        name: 'Day-of-week out of range',
+        input: '0 0 * * 8',
+        expected: /Invalid day-of-week token "8" at position 9: value must be between 0 and 7/
+      },
+      {
+        name: 'Descending range',
+        input: '0 17-9 * * *',
+        expected: /Invalid hour token "17-9" at position 3: range start 17 is greater than range end 9/
+      },
+      {
+        name: 'Zero step',
+        input: '*/0 * * * *',
+        expected: /Invalid minute token "\*\/0" at position 1: step must be between 1 and 59/
+      },
+      {
+        name: 'Non-numeric step',
+        input: '*/x * * * *',
+        expected: /Invalid minute token "\*\/x" at position 1: step "x" must be a number/
+      },
+      {
+        name: 'Name in numeric field',
+        input: '0 mon * * *',
+        expected: /Invalid hour token "mon" at position 3: "mon" is not a number/
+      },
+      {
+        name: 'Empty list item',
+        input: '0 1,,2 * * *',
+        expected: /Invalid hour token "" at position 5: empty list item/
+      },
+      {
+        name: 'Garbage value',
+        input: '0 12 * * foo',
+        expected: /Invalid day-of-week token "foo" at position 10: "foo" is not a valid day-of-week name/
+      }
+    ];
+
+    invalidCases.forEach(({ name, input, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertUnixToAwsCron(input), expected);
+      });
+    });
+
+    test('Object input fields should be validated', () => {
+      assert.throws(
+        () => convertUnixToAwsCron({ minute: '0', hour: '24', dayOfMonth: '*', month: '*', dayOfWeek: '*' }),
+        /Invalid hour token "24" at position 3/
+      );
+    });
+  })
+
+  describe('Day-of-week steps and Sunday ranges', () => {
+    const testCases = [
+      {
+        name: 'Wildcard step',
+        input: '0 9 * * */2',
+        expected: 'cron(0 9 ? * */2 *)',
+        description: 'Should leave the step value alone'
+      },
+      {
+        name: 'Range with step',
+        input: '0 9 * * 1-5/2',
+        expected: 'cron(0 9 ? * 2-6/2 *)',
+        description: 'Should shift the range but not the step'
+      },
+      {
+        name: 'Stepped single value',
+        input: '0 9 * * 2/2',
+        expected: 'cron(0 9 ? * 3/2 *)',
+        description: 'Should shift the start but not the step'
+      },
+      {
+        name: 'Range ending in Sunday (7)',
+        input: '0 9 * * 5-7',
+        expected: 'cron(0 9 ? * 6-7,1 *)',
+        description: 'Should split Friday-Sunday into Friday-Saturday and Sunday'
+      },
+      {
+        name: 'Saturday through Sunday (7)',
+        input: '0 9 * * 6-7',
+        expected: 'cron(0 9 ? * 7,1 *)',
+        description: 'Should rewrite 6-7 as Saturday and Sunday'
+      },
+      {
+        name: 'Whole week starting at 0',
+        input: '0 9 * * 0-7',
+        expected: 'cron(0 9 ? * 1-7 *)',
+        description: 'Should collapse 0-7 to a single AWS range'
+      },
+      {
+        name: 'Stepped range reaching Sunday (7)',
+        input: '0 9 * * 1-7/2',
+        expected: 'cron(0 9 ? * 1,2,4,6 *)',
+        description: 'Should expand to an AWS list when the step lands on Sunday'
+      },
+      {
+        name: 'Stepped range stopping before Sunday (7)',
+        input: '0 9 * * 0-7/3',
+        expected: 'cron(0 9 ? * 1-7/3 *)',
+        description: 'Should keep a stepped range when Sunday (7) is not selected'
+      },
+      {
+        name: 'Both Sunday values',
+        input: '0 9 * * 0,7',
+        expected: 'cron(0 9 ? * 1 *)',
+        description: 'Should not repeat Sunday'
+      }
+    ];
+
+    testCases.forEach(({ name, input, expected, description }) => {
+      test(name, () => {
+        const result = convertUnixToAwsCron(input);
+        assert.strictEqual(result, expected, description);
+      });
+    });
+  })
+
+  describe('Month and day-of-week names', () => {
+    const testCases = [
+      {
+        name: 'Day-of-week name range',
+        input: '30 9 * * MON-FRI',
+        expected: 'cron(30 9 ? * 2-6 *)',
+        description: 'Should convert day names to AWS numbers'
+      },
+      {
+        name: 'Lowercase day names in a list',
+        input: '0 10 * * sun,Sat',
+        expected: 'cron(0 10 ? * 1,7 *)',
+        description: 'Should accept names in any case'
+      },
+      {
+        name: 'Month name list',
+        input: '0 6 1 JAN,JUL *',
+        expected: 'cron(0 6 1 1,7 ? *)',
+        description: 'Should convert month names to numbers'
+      },
+      {
+        name: 'Mixed names and numbers',
+        input: '0 6 1 jan-6,OCT *',
+        expected: 'cron(0 6 1 1-6,10 ? *)',
+        description: 'Should accept names and numbers in the same field'
+      },
+      {
+        name: 'Month name range with step',
+        input: '0 0 1 FEB-DEC/3 *',
+        expected: 'cron(0 0 1 2-12/3 ? *)',
+        description: 'Should keep the step after a name range'
+      }
+    ];
+
+    testCases.forEach(({ name, input, expected, description }) => {
+      test(name, () => {
+        const result = convertUnixToAwsCron(input);
+        assert.strictEqual(result, expected, description);
+      });
+    });
+
+    const nameStyleCases = [
+      {
+        name: 'Numeric weekdays as AWS names',
+        input: '30 9 * * 1-5',
+        expected: 'cron(30 9 ? * MON-FRI *)'
+      },
+      {
+        name: 'Numeric months as AWS names',
+        input: '0 6 1 1,4,7,10 *',
+        expected: 'cron(0 6 1 JAN,APR,JUL,OCT ? *)'
+      },
+      {
+        name: 'Sunday range as AWS names',
+        input: '0 9 * * 5-7',
+        expected: 'cron(0 9 ? * FRI-SAT,SUN *)'
+      },
+      {
+        name: 'Wildcard steps stay numeric',
+        input: '0 0 * */3 */2',
+        expected: 'cron(0 0 ? */3 */2 *)'
+      }
+    ];
+
+    nameStyleCases.forEach(({ name, input, expected }) => {
+      test(name, () => {
+        const result = convertUnixToAwsCron(input, '*', { nameStyle: 'names' });
+        assert.strictEqual(result, expected);
+      });
+    });
+
+    test('Unknown day name should throw error', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('0 9 * * MON-FRY'),
+        /Invalid day-of-week token "MON-FRY" at position 9: "FRY" is not a valid day-of-week name/
+      );
+    });
+
+    test('Unknown name style should throw error', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('0 9 * * 1', '*', { nameStyle: 'roman' }),
+        /nameStyle must be one of: numbers, names/
+      );
+    });
+  })
+
+  describe('Cron macros', () => {
+    const testCases = [
+      { name: '@yearly', input: '@yearly', expected: 'cron(0 0 1 1 ? *)' },
+      { name: '@annually', input: '@annually', expected: 'cron(0 0 1 1 ? *)' },
+      { name: '@monthly', input: '@monthly', expected: 'cron(0 0 1 * ? *)' },
+      { name: '@weekly', input: '@weekly', expected: 'cron(0 0 ? * 1 *)' },
+      { name: '@daily', input: '@daily', expected: 'cron(0 0 ? * ? *)' },
+      { name: '@midnight', input: '@midnight', expected: 'cron(0 0 ? * ? *)' },
+      { name: '@hourly', input: '@hourly', expected: 'cron(0 * ? * ? *)' },
+      { name: 'Surrounding whitespace', input: '  @daily  ', expected: 'cron(0 0 ? * ? *)' }
+    ];
+
+    testCases.forEach(({ name, input, expected }) => {
+      test(name, () => {
+        const result = convertUnixToAwsCron(input);
+        assert.strictEqual(result, expected);
+      });
+    });
+
+    test('Should apply year parameter to macros', () => {
+      const result = convertUnixToAwsCron('@monthly', '2025');
+      assert.strictEqual(result, 'cron(0 0 1 * ? 2025)');
+    });
+
+    test('@reboot should throw error', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('@reboot'),
+        /@reboot runs once when the cron daemon starts and has no AWS EventBridge equivalent/
+      );
+    });
+
+    test('Unknown macro should throw error', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('@fortnightly'),
+        /Unknown cron macro "@fortnightly"/
+      );
+    });
+  })
+
+  describe('AWS to Unix conversions', () => {
+    const testCases = [
+      {
+        name: 'Weekday range',
+        input: 'cron(30 9 ? * 2-6 *)',
+        expected: '30 9 * * 1-5',
+        description: 'Should shift day-of-week back to Unix numbering'
+      },
+      {
+        name: 'Both day fields unrestricted',
+        input: 'cron(0 12 ? * ? *)',
+        expected: '0 12 * * *',
+        description: 'Should turn ? back into *'
+      },
+      {
+        name: 'Day-of-month',
+        input: 'cron(0 0 1 * ? *)',
+        expected: '0 0 1 * *',
+        description: 'Should keep day-of-month values'
+      },
+      {
+        name: 'Sunday and Saturday',
+        input: 'cron(0 10 ? * 1,7 *)',
+        expected: '0 10 * * 0,6',
+        description: 'Should map AWS Sunday (1) to Unix 0'
+      },
+      {
+        name: 'Day names without wrapper',
+        input: '0 0 ? JAN,JUL MON-FRI *',
+        expected: '0 0 * JAN,JUL 1-5',
+        description: 'Should accept names and unwrapped expressions'
+      },
+      {
+        name: 'Wildcard step',
+        input: 'cron(0 9 ? * */2 *)',
+        expected: '0 9 * * */2',
+        description: 'Should leave step values alone'
+      },
+      {
+        name: 'Stepped value',
+        input: 'cron(0 9 ? * 3/2 *)',
+        expected: '0 9 * * 2-6/2',
+        description: 'Should stop at Saturday instead of running on to Unix 7'
+      }
+    ];
+
+    testCases.forEach(({ name, input, expected, description }) => {
+      test(name, () => {
+        const result = convertAwsToUnixCron(input);
+        assert.strictEqual(result, expected, description);
+      });
+    });
+
+    test('Should round-trip a Unix expression', () => {
+      const unixCron = '*/15 9-17 * * 1-5';
+      assert.strictEqual(convertAwsToUnixCron(convertUnixToAwsCron(unixCron)), unixCron);
+    });
+
+    const errorCases = [
+      {
+        name: 'Last day of month',
+        input: 'cron(0 0 L * ? *)',
+        expected: /AWS day-of-month "L" uses L or W .* which Unix cron cannot express/
+      },
+      {
+        name: 'Nearest weekday',
+        input: 'cron(0 0 15W * ? *)',
+        expected: /AWS day-of-month "15W" uses L or W/
+      },
+      {
+        name: 'Nth weekday',
+        input: 'cron(0 0 ? * 2#1 *)',
+        expected: /AWS day-of-week "2#1" uses L or # .* which Unix cron cannot express/
+      },
+      {
+        name: 'Restricted year',
+        input: 'cron(0 0 ? * ? 2025)',
+        expected: /AWS year "2025" restricts the schedule to specific years, which Unix cron cannot express/
+      },
+      {
+        name: 'Rate expression',
+        input: 'rate(5 minutes)',
+        expected: /Only cron\(\) expressions can be converted/
+      },
+      {
+        name: 'Wrong field count',
+        input: 'cron(0 12 * * *)',
+        expected: /AWS cron expression must have exactly 6 fields/
+      },
+      {
+        name: 'Both day fields restricted',
+        input: 'cron(0 0 1 * 2 *)',
+        expected: /AWS cron expressions cannot restrict both day-of-month and day-of-week/
+      },
+      {
+        name: 'No "?" day field',
+        input: 'cron(0 0 * * * *)',
+        expected: /AWS cron expressions need "\?" in day-of-month or day-of-week, received "\*" and "\*"/
+      },
+      {
+        name: 'Day-of-month with "*" day-of-week',
+        input: 'cron(0 0 1 * * *)',
+        expected: /AWS cron expressions need "\?" in day-of-month or day-of-week/
+      },
+      {
+        name: 'Day-of-week out of range',
+        input: 'cron(0 0 ? * 0 *)',
+        expected: /Invalid day-of-week token "0" at position 14: value must be between 1 and 7/
+      },
+      {
+        name: 'Non-string input',
+        input: 42,
+        expected: /AWS cron expression must be a string/
+      }
+    ];
+
+    errorCases.forEach(({ name, input, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertAwsToUnixCron(input), expected);
+      });
+    });
+  })
+
+  describe('Rate expressions', () => {
+    const testCases = [
+      { name: 'Every minute', input: '* * * * *', expected: 'rate(1 minute)' },
+      { name: 'Every 5 minutes', input: '*/5 * * * *', expected: 'rate(5 minutes)' },
+      { name: 'Every hour', input: '0 * * * *', expected: 'rate(1 hour)' },
+      { name: 'Every 6 hours', input: '30 */6 * * *', expected: 'rate(6 hours)' },
+      { name: 'Every day', input: '0 3 * * *', expected: 'rate(1 day)' },
+      { name: '@hourly macro', input: '@hourly', expected: 'rate(1 hour)' },
+      { name: 'Uneven minute step falls back to cron', input: '*/7 * * * *', expected: 'cron(*/7 * ? * ? *)' },
+      { name: 'Uneven hour step falls back to cron', input: '0 */5 * * *', expected: 'cron(0 */5 ? * ? *)' },
+      { name: 'Minute list falls back to cron', input: '0,30 * * * *', expected: 'cron(0,30 * ? * ? *)' },
+      { name: 'Restricted weekdays fall back to cron', input: '0 9 * * 1-5', expected: 'cron(0 9 ? * 2-6 *)' },
+      { name: 'Stepped months fall back to cron', input: '0 0 * */2 *', expected: 'cron(0 0 ? */2 ? *)' }
+    ];
+
+    testCases.forEach(({ name, input, expected }) => {
+      test(name, () => {
+        const result = convertUnixToAwsCron(input, '*', { rate: true });
+        assert.strictEqual(result, expected);
+      });
+    });
+
+    test('Restricted year falls back to cron', () => {
+      const result = convertUnixToAwsCron('*/5 * * * *', '2025', { rate: true });
+      assert.strictEqual(result, 'cron(*/5 * ? * ? 2025)');
+    });
+
+    test('Rate is only used when requested', () => {
+      const result = convertUnixToAwsCron('*/5 * * * *');
+      assert.strictEqual(result, 'cron(*/5 * ? * ? *)');
+    });
+  })
+
+  describe('Timezone conversions', () => {
+    const testCases = [
+      {
+        name: 'Whole-hour offset',
+        input: '*/15 9-17 * * 1-5',
+        timezone: 'Europe/Oslo',
+        expected: ['cron(*/15 8-16 ? * 2-6 *)']
+      },
+      {
+        name: 'Midnight moves to the previous day of the week',
+        input: '0 0 * * 1',
+        timezone: 'Europe/Oslo',
+        expected: ['cron(0 23 ? * 1 *)']
+      },
+      {
+        name: 'Only some runs move to another day',
+        input: '0 0,12 * * 1',
+        timezone: 'Europe/Oslo',
+        expected: ['cron(0 23 ? * 1 *)', 'cron(0 11 ? * 2 *)']
+      },
+      {
+        name: 'Evening runs move to the next day',
+        input: '30 22 * * 5',
+        timezone: 'America/New_York',
+        expected: ['cron(30 3 ? * 7 *)']
+      },
+      {
+        name: 'Day-of-month moves with the runs',
+        input: '0 0 15 * *',
+        timezone: 'Europe/Oslo',
+        expected: ['cron(0 23 14 * ? *)']
+      },
+      {
+        name: 'Shifted OR schedule keeps both day fields',
+        input: '0 0 15 * 1',
+        timezone: 'Asia/Tokyo',
+        expected: ['cron(0 15 14 * ? *)', 'cron(0 15 ? * 1 *)']
+      },
+      {
+        name: 'Half-hour offset shifts minutes',
+        input: '0 9 * * *',
+        timezone: 'Asia/Kolkata',
+        expected: ['cron(30 3 ? * ? *)']
+      },
+      {
+        name: 'Every day stays a single rule',
+        input: '0 */6 * * *',
+        timezone: 'Europe/Oslo',
+        expected: ['cron(0 5-23/6 ? * ? *)']
+      },
+      {
+        name: 'UTC is left alone',
+        input: '0 9 * * *',
+        timezone: 'UTC',
+        expected: ['cron(0 9 ? * ? *)']
+      }
+    ];
+
+    testCases.forEach(({ name, input, timezone, expected }) => {
+      test(name, () => {
+        const { result } = captureWarnings(() => convertUnixToAwsCronSet(input, '*', { timezone }));
+        assert.deepStrictEqual(result, expected);
+      });
+    });
+
+    test('Default export returns the single UTC expression', () => {
+      const { result } = captureWarnings(() => convertUnixToAwsCron('0 9 * * 1-5', '*', { timezone: 'Europe/Oslo' }));
+      assert.strictEqual(result, 'cron(0 8 ? * 2-6 *)');
+    });
+
+    test('Default export should throw when several expressions are needed', () => {
+      assert.throws(
+        () => captureWarnings(() => convertUnixToAwsCron('0 0,12 * * 1', '*', { timezone: 'Europe/Oslo' })),
+        /Schedule needs 2 AWS expressions in UTC .* Use convertUnixToAwsCronSet/
+      );
+    });
+
+    test('Should report daylight saving time drift dates', () => {
+      const { warnings } = captureWarnings(() => convertUnixToAwsCron('0 9 * * *', '2026', { timezone: 'Europe/Oslo' }));
+      assert.deepStrictEqual(warnings, [
+        'Europe/Oslo observes daylight saving time, so no UTC schedule matches it exactly. Using standard offset +01:00: runs from 2026-03-29 to 2026-10-25 fire 60 minutes later in local time'
+      ]);
+    });
+
+    test('Should report drift periods on both sides of the year in the southern hemisphere', () => {
+      const { warnings } = captureWarnings(() => convertUnixToAwsCron('0 12 * * *', '2026', { timezone: 'Australia/Sydney' }));
+      assert.match(warnings[0], /standard offset \+10:00: runs from 2026-01-01 to 2026-04-04 and 2026-10-03 to 2027-01-01/);
+    });
+
+    test('Should not warn for timezones without daylight saving time', () => {
+      const { warnings } = captureWarnings(() => convertUnixToAwsCron('0 9 * * *', '*', { timezone: 'Asia/Tokyo' }));
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    test('Should warn when runs cross into another year', () => {
+      const { warnings } = captureWarnings(() => convertUnixToAwsCron('0 0 * * *', '2026', { timezone: 'Asia/Tokyo' }));
+      assert.deepStrictEqual(warnings, ['Runs close to midnight on the first or last day of year 2026 fall in a different year in UTC']);
+    });
+
+    test('Shifted day fields should keep Vixie AND semantics', () => {
+      const { result, warnings } = captureWarnings(() => convertUnixToAwsCronSet('0 0 15 * */2', { timezone: 'Asia/Tokyo' }));
+      assert.deepStrictEqual(result, ['cron(0 15 ? * 2,4,6,7 *)']);
+      assert.deepStrictEqual(warnings, ['Both day-of-month and day-of-week specified. Using day-of-week and setting day-of-month to "?"']);
+    });
+
+    test('Shifted AND schedule that moves to the next day should report the conflict', () => {
+      const { warnings } = convertDetailed('0 23 */20 * 1', { timezone: 'America/New_York' });
+      assert.deepStrictEqual(warnings.map(warning => warning.code), [WARNING_CODES.DST_DRIFT, WARNING_CODES.DAY_FIELD_CONFLICT]);
+    });
+
+    test('Shifted AND schedule should throw with the error conflict policy', () => {
+      assert.throws(() => convertUnixToAwsCronSet('0 0 15 * */2', { timezone: 'Asia/Tokyo', dayConflict: 'error' }), LossyConversionError);
+    });
+
+    const lastDayCases = [
+      { name: 'First of the month moving to the previous day', input: '0 0 1 * *', expected: ['cron(0 23 L * ? *)'] },
+      { name: 'Monthly nickname', input: '@monthly', expected: ['cron(0 23 L * ? *)'] },
+      { name: 'First and fifteenth', input: '0 0 1,15 * *', expected: ['cron(0 23 L * ? *)', 'cron(0 23 14 * ? *)'] },
+      { name: 'First of the month or Monday', input: '0 0 1 * 1', expected: ['cron(0 23 L * ? *)', 'cron(0 23 ? * 1 *)'] }
+    ];
+
+    lastDayCases.forEach(({ name, input, expected }) => {
+      test(`${name} should use L for the last day of the month`, () => {
+        const { result } = captureWarnings(() => convertUnixToAwsCronSet(input, { timezone: 'Europe/Oslo' }));
+        assert.deepStrictEqual(result, expected);
+      });
+    });
+
+    test('Split day-of-month should not repeat the day-of-week rule', () => {
+      const { result } = captureWarnings(() => convertUnixToAwsCronSet('0 8 1,15 * 1-5', { timezone: 'Asia/Tokyo' }));
+      assert.deepStrictEqual(result, ['cron(0 23 L * ? *)', 'cron(0 23 ? * 1-5 *)', 'cron(0 23 14 * ? *)']);
+    });
+
+    test('Default export should accept a split that collapses to one rule', () => {
+      const { result } = captureWarnings(() => convertUnixToAwsCron('0 8 1-7 * 1', { timezone: 'Asia/Tokyo' }));
+      assert.strictEqual(result, 'cron(0 23 ? * 1 *)');
+    });
+
+    const errorCases = [
+      {
+        name: 'End of month moving to the next month',
+        input: '0 22 28 * *',
+        timezone: 'America/New_York',
+        expected: /runs move to the next day and day-of-month "28" would cross into another month/
+      },
+      {
+        name: 'Restricted month with a day shift',
+        input: '0 0 * 6 *',
+        timezone: 'Europe/Oslo',
+        expected: /month "6" would have to change at month boundaries/
+      },
+      {
+        name: 'Unknown timezone',
+        input: '0 9 * * *',
+        timezone: 'Nowhere/City',
+        expected: /Unknown timezone "Nowhere\/City"/
+      }
+    ];
+
+    errorCases.forEach(({ name, input, timezone, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => captureWarnings(() => convertUnixToAwsCronSet(input, '*', { timezone })), expected);
+      });
+    });
+  })
+
+  describe('Next run calculation', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    const iso = (dates) => dates.map(date => date.toISOString());
+
+    const testCases = [
+      {
+        name: 'Unix weekday schedule',
+        input: '30 9 * * 1-5',
+        count: 3,
+        expected: ['2026-01-01T09:30:00.000Z', '2026-01-02T09:30:00.000Z', '2026-01-05T09:30:00.000Z']
+      },
+      {
+        name: 'AWS weekday schedule',
+        input: 'cron(30 9 ? * 2-6 *)',
+        count: 3,
+        expected: ['2026-01-01T09:30:00.000Z', '2026-01-02T09:30:00.000Z', '2026-01-05T09:30:00.000Z']
+      },
+      {
+        name: 'Unix day fields match either day',
+        input: '0 12 15 * 1',
+        count: 4,
+        expected: ['2026-01-05T12:00:00.000Z', '2026-01-12T12:00:00.000Z', '2026-01-15T12:00:00.000Z', '2026-01-19T12:00:00.000Z']
+      },
+      {
+        name: 'Unix star-prefixed day field requires both days to match',
+        input: '0 0 */10 * 4',
+        count: 2,
+        expected: ['2026-05-21T00:00:00.000Z', '2026-06-11T00:00:00.000Z']
+      },
+      {
+        name: 'AWS question mark in both day fields',
+        input: 'cron(0 12 ? * ? *)',
+        count: 2,
+        expected: ['2026-01-01T12:00:00.000Z', '2026-01-02T12:00:00.000Z']
+      },
+      {
+        name: 'AWS year range ends the schedule',
+        input: 'cron(0 0 1 1 ? 2027-2028)',
+        count: 5,
+        expected: ['2027-01-01T00:00:00.000Z', '2028-01-01T00:00:00.000Z']
+      },
+      {
+        name: 'AWS Sunday is day 1',
+        input: 'cron(0 8 ? * 1 *)',
+        count: 1,
+        expected: ['2026-01-04T08:00:00.000Z']
+      },
+      {
+        name: 'Unix nickname',
+        input: '@monthly',
+        count: 2,
+        expected: ['2026-02-01T00:00:00.000Z', '2026-03-01T00:00:00.000Z']
+      },
+      {
+        name: 'Schedule that never runs',
+        input: '0 0 30 2 *',
+        count: 1,
+        expected: []
+      }
+    ];
+
+    testCases.forEach(({ name, input, count, expected }) => {
+      test(name, () => {
+        assert.deepStrictEqual(iso(getNextRuns(input, from, count)), expected);
+      });
+    });
+
+    test('Runs exactly at the start time are skipped', () => {
+      const result = getNextRuns('0 0 * * *', new Date('2026-01-01T00:00:00Z'));
+      assert.deepStrictEqual(iso(result), ['2026-01-02T00:00:00.000Z']);
+    });
+
+    test('Object input should use its year property', () => {
+      const cronObj = { minute: '0', hour: '0', dayOfMonth: '1', month: '1', dayOfWeek: '*', year: '2030' };
+      assert.deepStrictEqual(iso(getNextRuns(cronObj, from, 2)), ['2030-01-01T00:00:00.000Z']);
+    });
+
+    test('Converted expression should run at the same times', () => {
+      const unixCron = '*/20 8-9 * * 0,6';
+      assert.deepStrictEqual(
+        iso(getNextRuns(convertUnixToAwsCron(unixCron), from, 10)),
+        iso(getNextRuns(unixCron, from, 10))
+      );
+    });
+
+    const errorCases = [
+      { name: 'Rate expression', input: 'rate(5 minutes)', expected: /Only cron\(\) expressions have fixed run times/ },
+      { name: 'AWS with both day fields', input: 'cron(0 0 1 * 2 *)', expected: /AWS cron expressions cannot restrict both day-of-month and day-of-week/ },
+      { name: 'Invalid Unix field', input: '0 24 * * *', expected: /Invalid hour token "24"/ },
+      { name: 'Invalid start date', input: '0 0 * * *', from: new Date('nope'), expected: /Start date must be a valid Date/ },
+      { name: 'Invalid count', input: '0 0 * * *', count: 0, expected: /Count must be a positive integer/ }
+    ];
+
+    errorCases.forEach(({ name, input, from: start = from, count = 1, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => getNextRuns(input, start, count), expected);
+      });
+    });
+  })
+
+  describe('Conversion verification', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+
+    const exactCases = [
+      { name: 'Weekday schedule', input: '30 9 * * 1-5' },
+      { name: 'Range ending in Sunday (7)', input: '0 9 * * 5-7' },
+      { name: 'Day-of-week step', input: '0 9 * * 1-5/2' },
+      { name: 'Month names', input: '0 6 1 JAN,JUL *' },
+      { name: 'Nickname', input: '@weekly' }
+    ];
+
+    exactCases.forEach(({ name, input }) => {
+      test(`${name} should convert exactly`, () => {
+        const result = verifyConversion(input, convertUnixToAwsCron(input), { from });
+        assert.deepStrictEqual(result, { exact: true, divergences: [] });
+      });
+    });
+
+    test('Dropped day-of-month should be reported', () => {
+      const awsCron = captureWarnings(() => convertUnixToAwsCron('0 12 15 * 1')).result;
+      const result = verifyConversion('0 12 15 * 1', awsCron, { from, limit: 2 });
+      assert.deepStrictEqual(result, {
+        exact: false,
+        divergences: [
+          { time: new Date('2026-01-15T12:00:00Z'), unix: true, aws: false },
+          { time: new Date('2026-02-15T12:00:00Z'), unix: true, aws: false }
+        ]
+      });
+    });
+
+    test('Union of expressions should convert exactly', () => {
+      const result = verifyConversion('0 12 15 * 1', convertUnixToAwsCronSet('0 12 15 * 1'), { from });
+      assert.strictEqual(result.exact, true);
+    });
+
+    test('Extra AWS runs should be reported', () => {
+      const awsCron = captureWarnings(() => convertUnixToAwsCron('0 8 */2 6 0,6')).result;
+      const result = verifyConversion('0 8 */2 6 0,6', awsCron, { from, limit: 1 });
+      assert.deepStrictEqual(result.divergences, [{ time: new Date('2026-06-06T08:00:00Z'), unix: false, aws: true }]);
+    });
+
+    test('Runs outside the window should be ignored', () => {
+      const result = verifyConversion('0 0 1 1 *', 'cron(0 0 1 1 ? 2026-2027)', { from, years: 2 });
+      assert.strictEqual(result.exact, true);
+      const longer = verifyConversion('0 0 1 1 *', 'cron(0 0 1 1 ? 2026-2027)', { from, years: 3 });
+      assert.deepStrictEqual(longer.divergences, [{ time: new Date('2028-01-01T00:00:00Z'), unix: true, aws: false }]);
+    });
+
+    test('Rate expressions should throw error', () => {
+      assert.throws(
+        () => verifyConversion('*/5 * * * *', 'rate(5 minutes)', { from }),
+        /Expected AWS cron\(\) expressions to verify, received: rate\(5 minutes\)/
+      );
+    });
+
+    test('Invalid window should throw error', () => {
+      assert.throws(
+        () => verifyConversion('0 0 * * *', 'cron(0 0 ? * ? *)', { from, years: 0 }),
+        /Years must be a positive integer/
+      );
+    });
+  })
+
+  describe('Detailed conversion results', () => {
+    // Fails the test if anything is logged through console.warn
+    const withoutConsole = (fn) => {
+      const { result, warnings } = captureWarnings(fn);
+      assert.deepStrictEqual(warnings, [], 'Should not log warnings');
+      return result;
+    };
+
+    test('Exact conversion should have fields and no warnings', () => {
+      const result = withoutConsole(() => convertDetailed('30 9 * * 1-5'));
+      assert.deepStrictEqual(result, {
+        expression: 'cron(30 9 ? * 2-6 *)',
+        fields: { minute: '30', hour: '9', dayOfMonth: '?', month: '*', dayOfWeek: '2-6', year: '*' },
+        warnings: [],
+        exact: true
+      });
+    });
+
+    test('Dropped day-of-month should be reported as a lossy warning', () => {
+      const result = withoutConsole(() => convertDetailed('0 12 15 * 1'));
+      assert.strictEqual(result.expression, 'cron(0 12 ? * 2 *)');
+      assert.strictEqual(result.exact, false);
+      assert.deepStrictEqual(result.warnings, [{
+        code: WARNING_CODES.DAY_FIELD_CONFLICT,
+        field: 'dayOfMonth',
+        message: 'Both day-of-month and day-of-week specified. Using day-of-week and setting day-of-month to "?"'
+      }]);
+    });
+
+    test('Year override should be reported without making the result inexact', () => {
+      const cronObj = { minute: '0', hour: '12', dayOfMonth: '*', month: '*', dayOfWeek: '*', year: '2025' };
+      const result = withoutConsole(() => convertDetailed(cronObj, '2024'));
+      assert.strictEqual(result.expression, 'cron(0 12 ? * ? 2025)');
+      assert.strictEqual(result.exact, true);
+      assert.deepStrictEqual(result.warnings.map(warning => [warning.code, warning.field]), [['YEAR_OVERRIDDEN', 'year']]);
+    });
+
+    test('Daylight saving time drift should be reported', () => {
+      const result = withoutConsole(() => convertDetailed('0 9 * * *', '2026', { timezone: 'Europe/Oslo' }));
+      assert.strictEqual(result.expression, 'cron(0 8 ? * ? 2026)');
+      assert.strictEqual(result.exact, false);
+      assert.deepStrictEqual(result.warnings.map(warning => warning.code), [WARNING_CODES.DST_DRIFT]);
+    });
+
+    test('Rate expressions should have no fields and lose their anchor', () => {
+      const result = withoutConsole(() => convertDetailed('*/5 * * * *', '*', { rate: true }));
+      assert.deepStrictEqual(result, {
+        expression: 'rate(5 minutes)',
+        fields: null,
+        warnings: [{
+          code: WARNING_CODES.RATE_ANCHOR,
+          field: 'minute',
+          message: 'Using rate(5 minutes), which counts from when the rule is created instead of running at the minutes and hours of "*/5 * * * *"'
+        }],
+        exact: false
+      });
+    });
+
+    test('Daily rate expression should report the dropped time', () => {
+      const { warnings, exact } = convertDetailed('30 9 * * *', { rate: true });
+      assert.strictEqual(exact, false);
+      assert.match(warnings[0].message, /rate\(1 day\), which counts from when the rule is created instead of running at the minutes and hours of "30 9 \* \* \*"/);
+    });
+
+    test('Detailed set should list every expression without logging', () => {
+      const result = withoutConsole(() => convertDetailedSet('0 0,12 * * 1', '2026', { timezone: 'Europe/Oslo' }));
+      assert.deepStrictEqual(result.expressions, ['cron(0 23 ? * 1 2026)', 'cron(0 11 ? * 2 2026)']);
+      assert.deepStrictEqual(result.warnings.map(warning => warning.code), [WARNING_CODES.DST_DRIFT, WARNING_CODES.YEAR_BOUNDARY]);
+      assert.strictEqual(result.exact, false);
+    });
+
+    test('Detailed set should be exact when both day fields get a rule', () => {
+      const result = withoutConsole(() => convertDetailedSet('0 12 15 * 1'));
+      assert.deepStrictEqual(result, { expressions: ['cron(0 12 15 * ? *)', 'cron(0 12 ? * 2 *)'], warnings: [], exact: true });
+    });
+
+    const everyDayCases = [
+      { name: 'Stepped day-of-month with day-of-week', input: '0 0 */1 * 1', expected: 'cron(0 0 ? * 2 *)' },
+      { name: 'Full day-of-week with day-of-month', input: '0 0 15 * */1', expected: 'cron(0 0 15 * ? *)' },
+      { name: 'Full day-of-month ORed with day-of-week', input: '0 0 1-31 * 1', expected: 'cron(0 0 ? * ? *)' },
+      { name: 'Full day-of-week ORed with day-of-month', input: '0 0 15 * 0-7', expected: 'cron(0 0 ? * ? *)' }
+    ];
+
+    everyDayCases.forEach(({ name, input, expected }) => {
+      test(`${name} should be exact`, () => {
+        assert.deepStrictEqual(convertDetailed(input, { strict: true }), { ...convertDetailed(input), expression: expected, warnings: [], exact: true });
+        assert.ok(verifyConversion(input, expected, { from: new Date('2026-01-01T00:00:00Z'), years: 1 }).exact);
+      });
+    });
+
+    test('Warning codes should be stable', () => {
+      assert.deepStrictEqual(Object.keys(WARNING_CODES), ['DAY_FIELD_CONFLICT', 'YEAR_OVERRIDDEN', 'DST_DRIFT', 'YEAR_BOUNDARY', 'RATE_ANCHOR']);
+      assert.ok(Object.isFrozen(WARNING_CODES));
+    });
+  })
+
+  describe('Strict mode', () => {
+    test('Exact conversions should pass', () => {
+      const result = convertUnixToAwsCron('30 9 * * 1-5', '*', { strict: true });
+      assert.strictEqual(result, 'cron(30 9 ? * 2-6 *)');
+    });
+
+    test('Dropped day-of-month should throw a typed error', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('0 12 15 * 1', '*', { strict: true }),
+        (error) => {
+          assert.ok(error instanceof LossyConversionError);
+          assert.strictEqual(error.name, 'LossyConversionError');
+          assert.strictEqual(error.code, WARNING_CODES.DAY_FIELD_CONFLICT);
+          assert.strictEqual(error.field, 'dayOfMonth');
+          assert.match(error.message, /Conversion is not exact: Both day-of-month and day-of-week specified/);
+          return true;
+        }
+      );
+    });
+
+    test('Union of both day fields should pass', () => {
+      const result = convertUnixToAwsCronSet('0 12 15 * 1', '*', { strict: true });
+      assert.deepStrictEqual(result, ['cron(0 12 15 * ? *)', 'cron(0 12 ? * 2 *)']);
+    });
+
+    test('Year override should throw a typed error', () => {
+      const cronObj = { minute: '0', hour: '12', dayOfMonth: '*', month: '*', dayOfWeek: '*', year: '2025' };
+      assert.throws(
+        () => convertUnixToAwsCron(cronObj, '2024', { strict: true }),
+        (error) => error instanceof LossyConversionError && error.code === WARNING_CODES.YEAR_OVERRIDDEN
+      );
+    });
+
+    test('Daylight saving time drift should throw a typed error', () => {
+      assert.throws(
+        () => convertDetailed('0 9 * * *', '*', { timezone: 'Europe/Oslo', strict: true }),
+        (error) => error instanceof LossyConversionError && error.code === WARNING_CODES.DST_DRIFT && error.warnings.length === 1
+      );
+    });
+
+    test('Strict mode should not log warnings', () => {
+      const originalWarn = console.warn;
+      let warnCalled = false;
+      console.warn = () => {
+        warnCalled = true;
+      };
+
+      assert.throws(() => convertUnixToAwsCron('0 12 15 * 1', '*', { strict: true }), LossyConversionError);
+
+      console.warn = originalWarn;
+
+      assert.strictEqual(warnCalled, false);
+    });
+
+    test('Strict mode should keep cron() instead of rate()', () => {
+      const result = convertUnixToAwsCron('*/5 * * * *', '*', { strict: true, rate: true });
+      assert.strictEqual(result, 'cron(*/5 * ? * ? *)');
+    });
+  })
+
+  describe('Options object', () => {
+    test('Year can be passed in the options object', () => {
+      const result = convertUnixToAwsCron('0 12 * * *', { year: '2025' });
+      assert.strictEqual(result, 'cron(0 12 ? * ? 2025)');
+    });
+
+    test('Options object without year defaults to wildcard', () => {
+      const result = convertUnixToAwsCron('30 9 * * 1-5', { nameStyle: 'names' });
+      assert.strictEqual(result, 'cron(30 9 ? * MON-FRI *)');
+    });
+
+    test('Positional year should keep working', () => {
+      assert.strictEqual(convertUnixToAwsCron('0 12 * * *', '2025'), 'cron(0 12 ? * ? 2025)');
+      assert.strictEqual(convertUnixToAwsCron('0 12 * * *', 2025), 'cron(0 12 ? * ? 2025)');
+      assert.strictEqual(convertUnixToAwsCron('30 9 * * 1-5', '2025', { nameStyle: 'names' }), 'cron(30 9 ? * MON-FRI 2025)');
+    });
+
+    test('Wrapper can be turned off', () => {
+      const result = convertUnixToAwsCron('30 9 * * 1-5', { wrap: false });
+      assert.strictEqual(result, '30 9 ? * 2-6 *');
+    });
+
+    test('Unwrapped detailed result should still have fields', () => {
+      const result = convertDetailed('30 9 * * 1-5', { wrap: false });
+      assert.strictEqual(result.fields.dayOfWeek, '2-6');
+    });
+
+    test('Object year property should still take precedence', () => {
+      const cronObj = { minute: '0', hour: '12', dayOfMonth: '*', month: '*', dayOfWeek: '*', year: '2025' };
+      const { result } = captureWarnings(() => convertUnixToAwsCron(cronObj, { year: '2024' }));
+      assert.strictEqual(result, 'cron(0 12 ? * ? 2025)');
+    });
+
+    test('Options object works for convertUnixToAwsCronSet', () => {
+      const result = convertUnixToAwsCronSet('0 12 15 * 1', { year: '2025', wrap: false });
+      assert.deepStrictEqual(result, ['0 12 15 * ? 2025', '0 12 ? * 2 2025']);
+    });
+
+    test('Day conflict policy can keep day-of-month', () => {
+      const result = convertDetailed('0 12 15 * 1', { dayConflict: 'dayOfMonth' });
+      assert.strictEqual(result.expression, 'cron(0 12 15 * ? *)');
+      assert.deepStrictEqual(result.warnings.map(warning => [warning.code, warning.field]), [['DAY_FIELD_CONFLICT', 'dayOfWeek']]);
+    });
+
+    test('Day conflict policy can throw', () => {
+      assert.throws(
+        () => convertUnixToAwsCron('0 12 15 * 1', { dayConflict: 'error' }),
+        (error) => error instanceof LossyConversionError && error.code === WARNING_CODES.DAY_FIELD_CONFLICT
+      );
+    });
+
+    const errorCases = [
+      { name: 'Unknown day conflict policy', options: { dayConflict: 'both' }, expected: /dayConflict must be one of: dayOfWeek, dayOfMonth, error/ },
+      { name: 'Non-boolean wrap', options: { wrap: 'no' }, expected: /wrap must be a boolean \(received string\)/ },
+      { name: 'Invalid year in options', options: { year: '1900' }, expected: /Year must be between 1970-2199/ }
+    ];
+
+    errorCases.forEach(({ name, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertUnixToAwsCron('0 12 * * *', options), expected);
+      });
+    });
+  })
+
+  describe('EventBridge Scheduler', () => {
+    const testCases = [
+      { name: 'CRON_TZ prefix', input: 'CRON_TZ=Europe/Oslo 0 9 * * 1-5', options: {}, expected: { ScheduleExpression: 'cron(0 9 ? * 2-6 *)', ScheduleExpressionTimezone: 'Europe/Oslo' } },
+      { name: 'Timezone option', input: '0 9 * * 1-5', options: { timezone: 'America/New_York' }, expected: { ScheduleExpression: 'cron(0 9 ? * 2-6 *)', ScheduleExpressionTimezone: 'America/New_York' } },
+      { name: 'No timezone', input: '30 9 15 3 *', options: {}, expected: { ScheduleExpression: 'cron(30 9 15 3 ? *)', ScheduleExpressionTimezone: 'UTC' } },
+      { name: 'Pinned date with year', input: 'CRON_TZ=Europe/Oslo 30 9 15 3 *', options: { year: 2026 }, expected: { ScheduleExpression: 'at(2026-03-15T09:30:00)', ScheduleExpressionTimezone: 'Europe/Oslo' } },
+      { name: 'Pinned date with month name', input: '5 7 1 JAN *', options: { year: '2027', nameStyle: 'names' }, expected: { ScheduleExpression: 'at(2027-01-01T07:05:00)', ScheduleExpressionTimezone: 'UTC' } },
+      { name: 'Pinned object', input: { minute: '0', hour: '12', dayOfMonth: '24', month: '12', dayOfWeek: '*', year: '2026' }, options: {}, expected: { ScheduleExpression: 'at(2026-12-24T12:00:00)', ScheduleExpressionTimezone: 'UTC' } },
+      { name: 'Single day-of-week with year', input: '30 9 * 3 1', options: { year: 2026 }, expected: { ScheduleExpression: 'cron(30 9 ? 3 2 2026)', ScheduleExpressionTimezone: 'UTC' } },
+      { name: 'Rate', input: '*/5 * * * *', options: { rate: true }, expected: { ScheduleExpression: 'rate(5 minutes)', ScheduleExpressionTimezone: 'UTC' } }
+    ];
+
+    testCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should convert`, () => {
+        const { result } = captureWarnings(() => toSchedulerExpression(input, options));
+        assert.deepStrictEqual(result, expected);
+      });
+    });
+
+    test('Schedule should not be shifted to UTC', () => {
+      const result = toSchedulerExpression('0 2 * * *', { timezone: 'Europe/Oslo' });
+      assert.strictEqual(result.ScheduleExpression, 'cron(0 2 ? * ? *)');
+    });
+
+    test('Positional year should work', () => {
+      const result = toSchedulerExpression('0 0 1 1 *', '2030');
+      assert.strictEqual(result.ScheduleExpression, 'at(2030-01-01T00:00:00)');
+    });
+
+    const errorCases = [
+      { name: 'Unknown CRON_TZ', input: 'CRON_TZ=Mars/Base 0 9 * * *', options: {}, expected: /Unknown timezone "Mars\/Base"/ },
+      { name: 'Conflicting timezones', input: 'CRON_TZ=Europe/Oslo 0 9 * * *', options: { timezone: 'UTC' }, expected: /CRON_TZ=Europe\/Oslo conflicts with timezone option "UTC"/ },
+      { name: 'Pinned date that does not exist', input: '0 0 30 2 *', options: { year: 2026 }, expected: /Schedule is pinned to 2026-02-30, which does not exist/ },
+      { name: 'Lossy conversion in strict mode', input: '0 12 15 * 1', options: { strict: true }, expected: LossyConversionError }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => toSchedulerExpression(input, options), expected);
+      });
+    });
+  })
+
+  describe('6-field input dialects', () => {
+    const testCases = [
+      { name: 'Zero seconds', input: '0 30 9 * * 1-5', options: { dialect: 'seconds' }, expected: 'cron(30 9 ? * 2-6 *)' },
+      { name: 'Padded zero seconds', input: '00 */15 * * * *', options: { dialect: 'seconds' }, expected: 'cron(*/15 * ? * ? *)' },
+      { name: 'Macro with seconds dialect', input: '@daily', options: { dialect: 'seconds' }, expected: 'cron(0 0 ? * ? *)' },
+      { name: 'Trailing year', input: '30 9 * * 1-5 2026', options: { dialect: 'year' }, expected: 'cron(30 9 ? * 2-6 2026)' },
+      { name: 'Trailing wildcard year', input: '0 12 1 * * *', options: { dialect: 'year' }, expected: 'cron(0 12 1 * ? *)' },
+      { name: 'Trailing stepped year', input: '0 0 1 1 * */2', options: { dialect: 'year' }, expected: 'cron(0 0 1 1 ? */2)' },
+      { name: 'Unix dialect', input: '0 12 1 * *', options: { dialect: 'unix' }, expected: 'cron(0 12 1 * ? *)' }
+    ];
+
+    testCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should convert`, () => {
+        assert.strictEqual(convertUnixToAwsCron(input, options), expected);
+      });
+    });
+
+    test('Trailing year should take precedence over the year option', () => {
+      const result = convertDetailed('30 9 * * 1-5 2026', { dialect: 'year', year: '2027' });
+      assert.strictEqual(result.expression, 'cron(30 9 ? * 2-6 2026)');
+      assert.deepStrictEqual(result.warnings.map(warning => warning.code), [WARNING_CODES.YEAR_OVERRIDDEN]);
+    });
+
+    test('Object input should ignore the dialect', () => {
+      const cronObj = { minute: '0', hour: '1', dayOfMonth: '*', month: '*', dayOfWeek: '*' };
+      assert.strictEqual(convertUnixToAwsCron(cronObj, { dialect: 'seconds' }), 'cron(0 1 ? * ? *)');
+    });
+
+    const errorCases = [
+      { name: 'Non-zero seconds', input: '15 30 9 * * 1-5', options: { dialect: 'seconds' }, expected: /Invalid second token "15" at position 1: AWS EventBridge runs at most once a minute/ },
+      { name: 'Invalid minute after seconds', input: '0 60 9 * * 1-5', options: { dialect: 'seconds' }, expected: /Invalid minute token "60" at position 3/ },
+      { name: 'Missing seconds field', input: '30 9 * * 1-5', options: { dialect: 'seconds' }, expected: /Cron expression with seconds field must have exactly 6 fields \(second minute hour day-of-month month day-of-week\)/ },
+      { name: 'Missing year field', input: '30 9 * * 1-5', options: { dialect: 'year' }, expected: /Cron expression with year field must have exactly 6 fields \(minute hour day-of-month month day-of-week year\)/ },
+      { name: 'Out of range year field', input: '30 9 * * 1-5 1900', options: { dialect: 'year' }, expected: /Invalid year token "1900" at position 14: value must be between 1970 and 2199/ },
+      { name: 'Year field with trailing letters', input: '0 0 * * * 2025abc', options: { dialect: 'year' }, expected: /Invalid year token "2025abc" at position 11: "2025abc" is not a number/ },
+      { name: 'Year list with a word', input: '0 0 * * * 2025,abc', options: { dialect: 'year' }, expected: /Invalid year token "abc" at position 16: "abc" is not a number/ },
+      { name: 'Six fields without a dialect', input: '0 30 9 * * 1-5', options: {}, expected: /must have exactly 5 fields/ },
+      { name: 'Unknown dialect', input: '0 30 9 * * 1-5', options: { dialect: 'quartz' }, expected: /dialect must be one of: unix, seconds, year/ }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertUnixToAwsCron(input, options), expected);
+      });
+    });
+  })
+
+  describe('AWS extensions in input', () => {
+    const testCases = [
+      { name: 'Last day of month', input: '0 12 L * *', expected: 'cron(0 12 L * ? *)' },
+      { name: 'Last weekday of month', input: '0 12 lw * *', expected: 'cron(0 12 LW * ? *)' },
+      { name: 'Nearest weekday', input: '0 12 15W * *', expected: 'cron(0 12 15W * ? *)' },
+      { name: 'Nth weekday', input: '0 12 * * 2#1', expected: 'cron(0 12 ? * 3#1 *)' },
+      { name: 'Nth Sunday as 0', input: '0 12 * * 0#2', expected: 'cron(0 12 ? * 1#2 *)' },
+      { name: 'Nth Sunday as 7', input: '0 12 * * 7#2', expected: 'cron(0 12 ? * 1#2 *)' },
+      { name: 'Nth weekday by name', input: '0 12 * * mon#2', expected: 'cron(0 12 ? * 2#2 *)' },
+      { name: 'Last Friday of month', input: '0 12 * * 5L', expected: 'cron(0 12 ? * 6L *)' },
+      { name: 'Quartz last day of week', input: '0 12 * * L', expected: 'cron(0 12 ? * L *)' }
+    ];
+
+    testCases.forEach(({ name, input, expected }) => {
+      test(`${name} should convert`, () => {
+        assert.strictEqual(convertUnixToAwsCron(input, { awsExtensions: true }), expected);
+      });
+    });
+
+    test('Object input should accept extensions', () => {
+      const cronObj = { minute: '0', hour: '9', dayOfMonth: '*', month: '*', dayOfWeek: '1#3' };
+      assert.strictEqual(convertUnixToAwsCron(cronObj, { awsExtensions: true }), 'cron(0 9 ? * 2#3 *)');
+    });
+
+    test('Extensions should always use day numbers', () => {
+      assert.strictEqual(convertUnixToAwsCron('0 12 * * fril', { awsExtensions: true, nameStyle: 'names' }), 'cron(0 12 ? * 6L *)');
+    });
+
+    test('Extensions should follow the day conflict policy', () => {
+      const result = convertDetailed('0 12 L * 1', { awsExtensions: true, dayConflict: 'dayOfMonth' });
+      assert.strictEqual(result.expression, 'cron(0 12 L * ? *)');
+    });
+
+    test('Extensions should be kept when shifting within the same day', () => {
+      assert.strictEqual(convertUnixToAwsCron('0 12 L * *', { awsExtensions: true, timezone: 'Asia/Tokyo' }), 'cron(0 3 L * ? *)');
+    });
+
+    test('Next runs should follow extensions', () => {
+      const from = new Date('2026-01-01T00:00:00Z');
+      const days = (input) => getNextRuns(input, from, 3).map(date => date.toISOString().slice(0, 10));
+      assert.deepStrictEqual(days('cron(0 12 LW * ? *)'), ['2026-01-30', '2026-02-27', '2026-03-31']);
+      assert.deepStrictEqual(days('cron(0 12 1W * ? *)'), ['2026-01-01', '2026-02-02', '2026-03-02']);
+      assert.deepStrictEqual(days('cron(0 12 31W * ? *)'), ['2026-01-30', '2026-03-31', '2026-05-29']);
+      assert.deepStrictEqual(days('cron(0 12 ? * 6L *)'), ['2026-01-30', '2026-02-27', '2026-03-27']);
+      assert.deepStrictEqual(days('0 12 * * 2#1'), ['2026-01-06', '2026-02-03', '2026-03-03']);
+      assert.deepStrictEqual(days('0 12 L * *'), ['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+
+    test('Converted extensions should verify as exact', () => {
+      const from = new Date('2026-01-01T00:00:00Z');
+      ['0 12 * * 2#1', '0 12 * * 5L', '0 12 LW * *', '0 12 15W * *'].forEach(input => {
+        const result = verifyConversion(input, convertUnixToAwsCron(input, { awsExtensions: true }), { from });
+        assert.deepStrictEqual(result, { exact: true, divergences: [] }, input);
+      });
+    });
+
+    const errorCases = [
+      { name: 'Extension without the option', input: '0 12 L * *', options: {}, expected: /Invalid day-of-month token "L" at position 6: L, W and # are AWS extensions and need the awsExtensions option/ },
+      { name: 'Extension in a list', input: '0 12 L,15 * *', options: { awsExtensions: true }, expected: /L, W and # cannot be combined with other values/ },
+      { name: 'Week of month out of range', input: '0 12 * * 2#6', options: { awsExtensions: true }, expected: /week of the month after # must be between 1 and 5/ },
+      { name: 'Nearest weekday out of range', input: '0 12 32W * *', options: { awsExtensions: true }, expected: /Invalid day-of-month token "32W" at position 6: value must be between 1 and 31/ },
+      { name: 'Weekday out of range', input: '0 12 * * 8L', options: { awsExtensions: true }, expected: /Invalid day-of-week token "8L" at position 10: value must be between 0 and 7/ },
+      { name: 'Extension shifted to another day', input: '0 2 L * *', options: { awsExtensions: true, timezone: 'Asia/Tokyo' }, expected: /Cannot shift schedule from Asia\/Tokyo to UTC: runs move to the previous day and "L" depends on the calendar/ }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertUnixToAwsCron(input, options), expected);
+      });
+    });
+  })
+
+  describe('Crontab lines', () => {
+    const testCases = [
+      { name: 'Plain line', input: '*/5 * * * * /usr/bin/check --quiet', expected: { schedule: '*/5 * * * *', command: '/usr/bin/check --quiet', expression: 'cron(*/5 * ? * ? *)', idiom: null } },
+      { name: 'Nickname line', input: '@daily /usr/bin/rotate  ', expected: { schedule: '@daily', command: '/usr/bin/rotate', expression: 'cron(0 0 ? * ? *)', idiom: null } },
+      { name: 'Last day guard', input: '0 0 28-31 * * [ "$(date +\\%d -d tomorrow)" = "01" ] && /usr/bin/backup.sh --full', expected: { schedule: '0 0 28-31 * *', command: '/usr/bin/backup.sh --full', expression: 'cron(0 0 L * ? *)', idiom: 'lastDayOfMonth' } },
+      { name: 'Last day guard with -eq', input: '0 0 28-31 * * [ $(date -d tomorrow +\\%d) -eq 1 ] && run', expected: { schedule: '0 0 28-31 * *', command: 'run', expression: 'cron(0 0 L * ? *)', idiom: 'lastDayOfMonth' } },
+      { name: 'Last day guard with backticks', input: '0 0 28-31 * * [ `date -d tomorrow +%d` = 01 ] && run', expected: { schedule: '0 0 28-31 * *', command: 'run', expression: 'cron(0 0 L * ? *)', idiom: 'lastDayOfMonth' } },
+      { name: 'Last day guard with test and +1 day', input: `30 23 * 1-6 * test "$(date -d '+1 day' +%d)" = "01" && run`, expected: { schedule: '30 23 * 1-6 *', command: 'run', expression: 'cron(30 23 L 1-6 ? *)', idiom: 'lastDayOfMonth' } },
+      { name: 'Last day guard with double brackets', input: '0 0 28-31 * * [[ "$(date --date=tomorrow +\\%d)" == "01" ]] && run', expected: { schedule: '0 0 28-31 * *', command: 'run', expression: 'cron(0 0 L * ? *)', idiom: 'lastDayOfMonth' } },
+      { name: 'Second Tuesday with %u', input: '0 9 8-14 * * [ "$(date +\\%u)" = "2" ] && report.sh', expected: { schedule: '0 9 8-14 * *', command: 'report.sh', expression: 'cron(0 9 ? * 3#2 *)', idiom: 'nthWeekday' } },
+      { name: 'First Sunday with %w', input: '0 9 1-7 * * [ "$(date +\\%w)" = "0" ] && report.sh', expected: { schedule: '0 9 1-7 * *', command: 'report.sh', expression: 'cron(0 9 ? * 1#1 *)', idiom: 'nthWeekday' } },
+      { name: 'Fifth Friday', input: '0 9 29-31 * * [ "$(date +\\%u)" -eq 5 ] && report.sh', expected: { schedule: '0 9 29-31 * *', command: 'report.sh', expression: 'cron(0 9 ? * 6#5 *)', idiom: 'nthWeekday' } },
+      { name: 'Guard on a week that does not start on 1, 8, 15, 22 or 29', input: '0 9 2-8 * * [ "$(date +\\%u)" = "1" ] && report.sh', expected: { schedule: '0 9 2-8 * *', command: '[ "$(date +\\%u)" = "1" ] && report.sh', expression: 'cron(0 9 2-8 * ? *)', idiom: null } },
+      { name: 'Guard with an invalid %u weekday', input: '0 9 1-7 * * [ "$(date +\\%u)" = "0" ] && report.sh', expected: { schedule: '0 9 1-7 * *', command: '[ "$(date +\\%u)" = "0" ] && report.sh', expression: 'cron(0 9 1-7 * ? *)', idiom: null } },
+      { name: 'Last day guard without the last days', input: '0 0 1-27 * * [ "$(date +\\%d -d tomorrow)" = "01" ] && run', expected: { schedule: '0 0 1-27 * *', command: '[ "$(date +\\%d -d tomorrow)" = "01" ] && run', expression: 'cron(0 0 1-27 * ? *)', idiom: null } }
+    ];
+
+    testCases.forEach(({ name, input, expected }) => {
+      test(`${name} should convert`, () => {
+        const { warnings, expressions, ...result } = convertCrontabLine(input);
+        assert.deepStrictEqual(result, expected);
+        assert.deepStrictEqual(expressions, [expected.expression]);
+        assert.deepStrictEqual(warnings, []);
+      });
+    });
+
+    test('Guard with a restricted day-of-week should be kept', () => {
+      const result = convertCrontabLine('0 9 1-7 * 1 [ "$(date +\\%u)" = "1" ] && report.sh');
+      assert.strictEqual(result.idiom, null);
+      assert.strictEqual(result.expression, null);
+      assert.deepStrictEqual(result.expressions, ['cron(0 9 1-7 * ? *)', 'cron(0 9 ? * 2 *)']);
+      assert.deepStrictEqual(result.warnings, []);
+    });
+
+    test('Options should apply to the expression', () => {
+      const result = convertCrontabLine('0 0 28-31 * * [ "$(date +\\%d -d tomorrow)" = "01" ] && run', { year: 2027 });
+      assert.strictEqual(result.expression, 'cron(0 0 L * ? 2027)');
+    });
+
+    const errorCases = [
+      { name: 'Line without a command', input: '0 0 * * *', expected: /Crontab line must have a schedule \(5 fields or a nickname such as @daily\) followed by a command/ },
+      { name: 'Line with an invalid schedule', input: '0 24 * * * run', expected: /Invalid hour token "24"/ },
+      { name: 'Reboot line', input: '@reboot /usr/bin/start', expected: /@reboot runs once when the cron daemon starts/ },
+      { name: 'Non-string line', input: 42, expected: /Crontab line must be a string/ }
+    ];
+
+    errorCases.forEach(({ name, input, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertCrontabLine(input), expected);
+      });
+    });
+  })
+
+  describe('Crontab files', () => {
+    const userCrontab = [
+      '# m h dom mon dow command',
+      'SHELL=/bin/bash',
+      'MAILTO="ops@example.com"',
+      '',
+      '*/5 * * * * /usr/bin/check',
+      '0 0 28-31 * * [ "$(date +\\%d -d tomorrow)" = "01" ] && backup.sh',
+      'CRON_TZ=Asia/Tokyo',
+      '0 9 * * 1-5 report.sh',
+      '  # indented comment',
+      '@reboot start.sh',
+      '0 0 * * *'
+    ].join('\n');
+
+    test('User crontab should have one entry per job', () => {
+      const entries = parseCrontab(userCrontab);
+      assert.deepStrictEqual(entries.map(entry => entry.line), [5, 6, 8, 10, 11]);
+    });
+
+    test('Jobs should be converted with their environment', () => {
+      const [check, backup, report] = parseCrontab(userCrontab);
+      assert.deepStrictEqual(check, {
+        line: 5,
+        schedule: '*/5 * * * *',
+        user: null,
+        command: '/usr/bin/check',
+        environment: { SHELL: '/bin/bash', MAILTO: 'ops@example.com' },
+        expression: 'cron(*/5 * ? * ? *)',
+        expressions: ['cron(*/5 * ? * ? *)'],
+        warnings: [],
+        idiom: null,
+        error: null
+      });
+      assert.strictEqual(backup.expression, 'cron(0 0 L * ? *)');
+      assert.strictEqual(backup.command, 'backup.sh');
+      assert.strictEqual(report.environment.CRON_TZ, 'Asia/Tokyo');
+    });
+
+    test('CRON_TZ should shift later jobs to UTC', () => {
+      const report = parseCrontab(userCrontab)[2];
+      assert.strictEqual(report.expression, 'cron(0 0 ? * 2-6 *)');
+    });
+
+    test('Jobs that cannot be converted should get an error', () => {
+      const [, , , reboot, missingCommand] = parseCrontab(userCrontab);
+      assert.strictEqual(reboot.schedule, '@reboot');
+      assert.strictEqual(reboot.expression, null);
+      assert.deepStrictEqual(reboot.expressions, []);
+      assert.match(reboot.error, /@reboot runs once when the cron daemon starts/);
+      assert.strictEqual(missingCommand.schedule, null);
+      assert.match(missingCommand.error, /followed by a command/);
+    });
+
+    test('System crontab should have a user column', () => {
+      const crontab = 'SHELL=/bin/sh\r\nPATH=/usr/bin\r\n17 * * * * root cd / && run-parts --report /etc/cron.hourly\r\n@daily www-data /usr/bin/cleanup\r\n';
+      const entries = parseCrontab(crontab, { format: 'system', wrap: false });
+      assert.deepStrictEqual(entries.map(({ line, schedule, user, command, expression }) => ({ line, schedule, user, command, expression })), [
+        { line: 3, schedule: '17 * * * *', user: 'root', command: 'cd / && run-parts --report /etc/cron.hourly', expression: '17 * ? * ? *' },
+        { line: 4, schedule: '@daily', user: 'www-data', command: '/usr/bin/cleanup', expression: '0 0 ? * ? *' }
+      ]);
+    });
+
+    test('Jobs that need several expressions should list all of them', () => {
+      const [either, oslo] = parseCrontab('0 12 15 * 1 report.sh\nCRON_TZ=Europe/Oslo\n0 0,12 * * 1 sync.sh\n');
+      assert.strictEqual(either.expression, null);
+      assert.deepStrictEqual(either.expressions, ['cron(0 12 15 * ? *)', 'cron(0 12 ? * 2 *)']);
+      assert.deepStrictEqual(either.warnings, []);
+      assert.strictEqual(oslo.error, null);
+      assert.strictEqual(oslo.expression, null);
+      assert.deepStrictEqual(oslo.expressions, ['cron(0 23 ? * 1 *)', 'cron(0 11 ? * 2 *)']);
+    });
+
+    test('System crontab line without a user should get an error', () => {
+      const [entry] = parseCrontab('0 0 * * * root', { format: 'system' });
+      assert.match(entry.error, /followed by a user and a command/);
+    });
+
+    const errorCases = [
+      { name: 'Non-string crontab', input: null, options: {}, expected: /Crontab must be a string/ },
+      { name: 'Unknown format', input: '', options: { format: 'bsd' }, expected: /format must be one of: user, system/ }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => parseCrontab(input, options), expected);
+      });
+    });
+  })
+
+  describe('Kubernetes CronJobs', () => {
+    const manifests = [
+      'apiVersion: batch/v1',
+      'kind: CronJob',
+      'metadata:',
+      '  name: report',
+      '  namespace: analytics',
+      'spec:',
+      '  schedule: "30 9 * * 1-5"',
+      '  timeZone: Asia/Tokyo',
+      '---',
+      'apiVersion: v1',
+      'kind: ConfigMap',
+      'metadata:',
+      '  name: settings',
+      '---',
+      'apiVersion: batch/v1',
+      'kind: CronJob',
+      'metadata:',
+      '  name: cleanup',
+      'spec:',
+      '  schedule: "CRON_TZ=Asia/Tokyo 0 9 * * *"',
+      '  suspend: true',
+      '---',
+      'apiVersion: v1',
+      'kind: List',
+      'items:',
+      '  - kind: CronJob',
+      '    metadata: { name: hourly, namespace: ops }',
+      '    spec: { schedule: "@hourly" }',
+      '  - kind: CronJob',
+      '    metadata: { name: both, namespace: ops }',
+      '    spec: { schedule: "TZ=UTC 0 9 * * *", timeZone: UTC }',
+      '  - kind: CronJob',
+      '    metadata: { name: unscheduled }',
+      '    spec: {}'
+    ].join('\n');
+
+    test('Each CronJob should be converted in its timezone', () => {
+      const [report] = parseKubernetesCronJobs(manifests);
+      assert.deepStrictEqual(report, {
+        document: 1,
+        name: 'report',
+        namespace: 'analytics',
+        schedule: '30 9 * * 1-5',
+        timeZone: 'Asia/Tokyo',
+        suspend: false,
+        expression: 'cron(30 0 ? * 2-6 *)',
+        expressions: ['cron(30 0 ? * 2-6 *)'],
+        warnings: [],
+        error: null
+      });
+    });
+
+    test('Other kinds should be skipped and List items read', () => {
+      const cronJobs = parseKubernetesCronJobs(manifests);
+      assert.deepStrictEqual(cronJobs.map(({ document, name }) => ({ document, name })), [
+        { document: 1, name: 'report' },
+        { document: 3, name: 'cleanup' },
+        { document: 4, name: 'hourly' },
+        { document: 4, name: 'both' },
+        { document: 4, name: 'unscheduled' }
+      ]);
+    });
+
+    test('Schedule prefix should set the timezone', () => {
+      const cleanup = parseKubernetesCronJobs(manifests)[1];
+      assert.strictEqual(cleanup.namespace, null);
+      assert.strictEqual(cleanup.timeZone, 'Asia/Tokyo');
+      assert.strictEqual(cleanup.suspend, true);
+      assert.strictEqual(cleanup.expression, 'cron(0 0 ? * ? *)');
+    });
+
+    test('Options should apply to every CronJob', () => {
+      const hourly = parseKubernetesCronJobs(manifests, { rate: true })[2];
+      assert.strictEqual(hourly.expression, 'rate(1 hour)');
+    });
+
+    test('Lossy conversions should be reported as warnings', () => {
+      const [cronJob] = parseKubernetesCronJobs('kind: CronJob\nmetadata: { name: oslo }\nspec: { schedule: "0 9 * * *", timeZone: Europe/Oslo }\n');
+      assert.strictEqual(cronJob.expression, 'cron(0 8 ? * ? *)');
+      assert.deepStrictEqual(cronJob.warnings.map(warning => warning.code), [WARNING_CODES.DST_DRIFT]);
+    });
+
+    test('CronJobs that cannot be converted should get an error', () => {
+      const [, , , both, unscheduled] = parseKubernetesCronJobs(manifests);
+      assert.strictEqual(both.expression, null);
+      assert.deepStrictEqual(both.expressions, []);
+      assert.strictEqual(both.error, 'spec.timeZone and a CRON_TZ= or TZ= schedule prefix cannot both be set');
+      assert.strictEqual(unscheduled.error, 'spec.schedule must be a string');
+    });
+
+    test('Unknown timezone should get an error', () => {
+      const [cronJob] = parseKubernetesCronJobs('kind: CronJob\nspec: { schedule: "0 9 * * *", timeZone: Mars/Olympus }\n');
+      assert.match(cronJob.error, /Mars\/Olympus/);
+    });
+
+    test('CronJobs that need several expressions should list all of them', () => {
+      const [oslo, either] = parseKubernetesCronJobs([
+        'kind: CronJob\nspec: { schedule: "0 0,12 * * 1", timeZone: Europe/Oslo }',
+        'kind: CronJob\nspec: { schedule: "0 12 15 * 1" }'
+      ].join('\n---\n'));
+      assert.strictEqual(oslo.error, null);
+      assert.strictEqual(oslo.expression, null);
+      assert.deepStrictEqual(oslo.expressions, ['cron(0 23 ? * 1 *)', 'cron(0 11 ? * 2 *)']);
+      assert.deepStrictEqual(either.expressions, ['cron(0 12 15 * ? *)', 'cron(0 12 ? * 2 *)']);
+      assert.deepStrictEqual(either.warnings, []);
+    });
+
+    test('Strict mode should turn lossy conversions into errors', () => {
+      const [cronJob] = parseKubernetesCronJobs('kind: CronJob\nspec: { schedule: "0 12 15 * */2" }\n', { strict: true });
+      assert.match(cronJob.error, /Conversion is not exact/);
+    });
+
+    const errorCases = [
+      { name: 'Non-string manifests', input: null, expected: /Kubernetes manifests must be a string/ },
+      { name: 'Invalid YAML', input: 'kind: CronJob\n---\nspec: [\n', expected: /^Error: Invalid YAML in document 2: / }
+    ];
+
+    errorCases.forEach(({ name, input, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => parseKubernetesCronJobs(input), expected);
+      });
+    });
+  })
+
+  describe('Jenkins hashed schedules', () => {
+    const testCases = [
+      { name: 'H in minute and H range in hour', input: 'H H(0-7) * * *', seed: 'nightly-build', expected: 'cron(40 3 ? * ? *)' },
+      { name: 'Another seed', input: 'H H(0-7) * * *', seed: 'other-job', expected: 'cron(25 2 ? * ? *)' },
+      { name: 'H with a step', input: 'H/15 * * * *', seed: 'a', expected: 'cron(11/15 * ? * ? *)' },
+      { name: 'H range with a step', input: 'H(0-29)/10 * * * *', seed: 'a', expected: 'cron(6-29/10 * ? * ? *)' },
+      { name: 'H day of month with a step', input: '0 0 H/10 * *', seed: 'b', expected: 'cron(0 0 3-28/10 * ? *)' },
+      { name: 'H in every day field', input: 'H H H * *', seed: 'a', expected: 'cron(56 7 20 * ? *)' },
+      { name: 'H day of week range with names', input: 'H 9 * * H(mon-fri)', seed: 'x', expected: 'cron(29 9 ? * 3 *)' },
+      { name: 'H mixed with values', input: '0,H 12 * * *', seed: 'a', expected: 'cron(0,56 12 ? * ? *)' }
+    ];
+
+    testCases.forEach(({ name, input, seed, expected }) => {
+      test(`${name} should resolve from the seed`, () => {
+        assert.strictEqual(convertUnixToAwsCron(input, { seed }), expected);
+      });
+    });
+
+    test('Same seed should always pick the same values', () => {
+      const first = convertUnixToAwsCron('H H * * H', { seed: 'report-lambda' });
+      assert.strictEqual(convertUnixToAwsCron('H H * * H', { seed: 'report-lambda' }), first);
+      assert.notStrictEqual(convertUnixToAwsCron('H H * * H', { seed: 'cleanup-lambda' }), first);
+    });
+
+    test('Picked values should stay within their bounds', () => {
+      for (let job = 0; job < 200; job++) {
+        const { fields } = convertDetailed('H H(9-17) H * H(1-5)', { seed: `job-${job}`, dayConflict: 'dayOfMonth' });
+        const [minute, hour, dayOfMonth] = [fields.minute, fields.hour, fields.dayOfMonth].map(Number);
+        assert.ok(minute >= 0 && minute <= 59, `minute ${minute}`);
+        assert.ok(hour >= 9 && hour <= 17, `hour ${hour}`);
+        assert.ok(dayOfMonth >= 1 && dayOfMonth <= 28, `day of month ${dayOfMonth}`);
+
+        const dayOfWeek = Number(convertUnixToAwsCron('0 0 * * H', { seed: `job-${job}`, wrap: false }).split(' ')[4]);
+        assert.ok(dayOfWeek >= 1 && dayOfWeek <= 7, `day of week ${dayOfWeek}`);
+
+        const stepStart = Number(convertUnixToAwsCron('H/15 * * * *', { seed: `job-${job}`, wrap: false }).split('/')[0]);
+        assert.ok(stepStart >= 0 && stepStart < 15, `step start ${stepStart}`);
+      }
+    });
+
+    test('Object input and crontab lines should resolve H', () => {
+      assert.strictEqual(convertUnixToAwsCron({ minute: 'H', hour: 'H(0-7)', dayOfMonth: '*', month: '*', dayOfWeek: '*' }, { seed: 'nightly-build' }), 'cron(40 3 ? * ? *)');
+      assert.strictEqual(convertCrontabLine('H H(0-7) * * * /usr/bin/build', { seed: 'nightly-build' }).expression, 'cron(40 3 ? * ? *)');
+    });
+
+    const dayFieldCases = [
+      { name: 'First Monday', input: 'H H 1-7 * 1', expected: ['cron(56 7 ? * 2#1 *)'] },
+      { name: 'Second Tuesday', input: '0 9 8-14 * tue', expected: ['cron(0 9 ? * 3#2 *)'] },
+      { name: 'Fifth Friday', input: 'H 12 29-31 * 5', expected: ['cron(56 12 ? * 6#5 *)'] }
+    ];
+
+    dayFieldCases.forEach(({ name, input, expected }) => {
+      test(`${name} should need both day fields to match, like Jenkins`, () => {
+        assert.deepStrictEqual(convertDetailedSet(input, { seed: 'a' }), { expressions: expected, warnings: [], exact: true });
+      });
+    });
+
+    test('Hashed day fields should not be split into Vixie OR rules', () => {
+      const { expressions, warnings, exact } = convertDetailedSet('0 0 H * H', { seed: 'a' });
+      assert.deepStrictEqual(expressions, ['cron(0 0 ? * 1 *)']);
+      assert.deepStrictEqual(warnings.map(warning => warning.code), ['DAY_FIELD_CONFLICT']);
+      assert.strictEqual(exact, false);
+    });
+
+    test('Without a seed the day fields should keep Vixie OR semantics', () => {
+      assert.deepStrictEqual(convertDetailedSet('0 9 8-14 * tue').expressions, ['cron(0 9 8-14 * ? *)', 'cron(0 9 ? * 3 *)']);
+    });
+
+    test('Timezone should shift the picked values', () => {
+      assert.strictEqual(convertUnixToAwsCron('H H(9-9) * * *', { seed: 'nightly-build', timezone: 'Asia/Tokyo' }), 'cron(40 0 ? * ? *)');
+    });
+
+    test('Command line should accept a seed', () => {
+      const result = spawnSync(process.execPath, ['cli.js', '--seed', 'nightly-build', 'H H(0-7) * * *'], { cwd: import.meta.dirname, encoding: 'utf8' });
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, 'cron(40 3 ? * ? *)\n');
+    });
+
+    const errorCases = [
+      { name: 'H without a seed', input: 'H * * * *', options: {}, expected: /Invalid minute token "H" at position 1: H needs the seed option, such as the job name, to pick a value/ },
+      { name: 'H without a range', input: 'H(5) * * * *', options: { seed: 'x' }, expected: /Invalid minute token "H\(5\)" at position 1: H\(\) must contain a range such as H\(0-29\)/ },
+      { name: 'Descending H range', input: 'H(9-3) * * * *', options: { seed: 'x' }, expected: /range start 9 is greater than range end 3/ },
+      { name: 'H range out of bounds', input: '0 H(0-24) * * *', options: { seed: 'x' }, expected: /Invalid hour token "H\(0-24\)" at position 3: value must be between 0 and 23/ },
+      { name: 'Lowercase h', input: 'h * * * *', options: { seed: 'x' }, expected: /Invalid minute token "h"/ },
+      { name: 'Non-string seed', input: '0 0 * * *', options: { seed: 42 }, expected: /seed must be a string \(received number\)/ }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => convertUnixToAwsCron(input, options), expected);
+      });
+    });
+
+    test('H should not be accepted in AWS expressions', () => {
+      assert.throws(() => convertAwsToUnixCron('cron(H * ? * ? *)'), /Invalid minute token "H" at position 6: "H" is not a number/);
+    });
+  })
+
+  describe('GitHub Actions schedules', () => {
+    const workflow = [
+      'name: nightly',
+      'on:',
+      '  push:',
+      '    branches: [main]',
+      '  schedule:',
+      "    - cron: '30 5 * * 1,3'",
+      "    - cron: '0 0 1 jan,jul *'",
+      "    - cron: '*/15 * * * *'",
+      'jobs: {}'
+    ].join('\n');
+
+    test('Each schedule should be converted', () => {
+      assert.deepStrictEqual(parseGitHubSchedules(workflow), [
+        { index: 0, cron: '30 5 * * 1,3', expression: 'cron(30 5 ? * 2,4 *)', warnings: [], error: null },
+        { index: 1, cron: '0 0 1 jan,jul *', expression: 'cron(0 0 1 1,7 ? *)', warnings: [], error: null },
+        { index: 2, cron: '*/15 * * * *', expression: 'cron(*/15 * ? * ? *)', warnings: [], error: null }
+      ]);
+    });
+
+    test('Options should apply to every schedule', () => {
+      const [, , every15] = parseGitHubSchedules(workflow, { rate: true });
+      assert.strictEqual(every15.expression, 'rate(15 minutes)');
+    });
+
+    test('Workflows without schedules should have no entries', () => {
+      assert.deepStrictEqual(parseGitHubSchedules('on: push'), []);
+      assert.deepStrictEqual(parseGitHubSchedules('on:\n  workflow_dispatch:\n'), []);
+    });
+
+    const scheduleErrorCases = [
+      { name: 'Every minute', cron: '* * * * *', expected: /at most once every 5 minutes, but "\* \* \* \* \*" runs every minute/ },
+      { name: 'Every 2 minutes', cron: '*/2 9 * * *', expected: /runs every 2 minutes/ },
+      { name: 'Runs across the hour', cron: '58,1 * * * *', expected: /runs every 3 minutes/ },
+      { name: 'Nickname', cron: '@daily', expected: /GitHub Actions does not support cron nicknames such as @daily/ },
+      { name: 'Name in the minute field', cron: 'mon * * * *', expected: /Invalid minute token "mon"/ },
+      { name: 'Sunday as 7', cron: '0 0 * * 7', expected: /Invalid day-of-week token "7" at position 9: GitHub Actions only accepts days of the week 0-6, with Sunday as 0/ },
+      { name: 'Range ending on 7', cron: '0 0 * * 1,5-7', expected: /Invalid day-of-week token "5-7" at position 11/ },
+      { name: 'Missing cron', cron: null, expected: /cron must be a string/ }
+    ];
+
+    scheduleErrorCases.forEach(({ name, cron, expected }) => {
+      test(`${name} should get an error`, () => {
+        const [entry] = parseGitHubSchedules(`on:\n  schedule:\n    - cron: ${JSON.stringify(cron)}\n`);
+        assert.strictEqual(entry.expression, null);
+        assert.match(entry.error, expected);
+      });
+    });
+
+    test('Days of the week 0-6 and names should be converted', () => {
+      const entries = parseGitHubSchedules("on:\n  schedule:\n    - cron: '0 0 * * 0,6'\n    - cron: '0 0 * * */2'\n    - cron: '0 0 * * sun-sat'\n");
+      assert.deepStrictEqual(entries.map(entry => entry.expression), ['cron(0 0 ? * 1,7 *)', 'cron(0 0 ? * */2 *)', 'cron(0 0 ? * 1-7 *)']);
+    });
+
+    test('Runs a few minutes apart in different hours should be converted', () => {
+      const [entry] = parseGitHubSchedules("on:\n  schedule:\n    - cron: '58,1 9 * * *'\n");
+      assert.strictEqual(entry.expression, 'cron(58,1 9 ? * ? *)');
+    });
+
+    const errorCases = [
+      { name: 'Non-string workflow', input: null, options: {}, expected: /GitHub workflow must be a string/ },
+      { name: 'Timezone option', input: workflow, options: { timezone: 'Europe/Oslo' }, expected: /GitHub Actions schedules always run in UTC/ },
+      { name: 'Invalid YAML', input: 'on:\n  schedule: [\n', options: {}, expected: /^Error: Invalid YAML: / },
+      { name: 'Schedule that is not a list', input: "on:\n  schedule:\n    cron: '0 0 * * *'\n", options: {}, expected: /on.schedule must be a list of cron entries/ }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => parseGitHubSchedules(input, options), expected);
+      });
+    });
+  })
+
+  describe('GitLab pipeline schedules', () => {
+    const schedules = [
+      { id: 13, description: 'Nightly build', ref: 'refs/heads/main', cron: '0 1 * * 5', cron_timezone: 'Asia/Tokyo', active: true },
+      { id: 14, description: 'Weekly cleanup', ref: 'main', cron: '30 2 * * 0', cron_timezone: 'UTC', active: false },
+      { id: 15, description: 'Legacy', ref: 'main', cron: '0 9 * * *', cron_timezone: 'Pacific Time (US & Canada)', active: true }
+    ];
+
+    test('Each schedule should be shifted from its timezone', () => {
+      const [nightly] = parseGitLabSchedules(schedules);
+      assert.deepStrictEqual(nightly, {
+        id: 13,
+        description: 'Nightly build',
+        ref: 'refs/heads/main',
+        active: true,
+        cron: '0 1 * * 5',
+        timeZone: 'Asia/Tokyo',
+        expression: 'cron(0 16 ? * 5 *)',
+        warnings: [],
+        error: null
+      });
+    });
+
+    test('JSON from the API should be accepted', () => {
+      const [, cleanup] = parseGitLabSchedules(JSON.stringify(schedules), { year: 2026 });
+      assert.strictEqual(cleanup.active, false);
+      assert.strictEqual(cleanup.expression, 'cron(30 2 ? * 1 2026)');
+    });
+
+    test('Missing timezone should default to UTC', () => {
+      const [schedule] = parseGitLabSchedules([{ cron: '0 12 * * *' }]);
+      assert.strictEqual(schedule.timeZone, 'UTC');
+      assert.strictEqual(schedule.expression, 'cron(0 12 ? * ? *)');
+    });
+
+    test('Rails timezone names should be read as their IANA zone', () => {
+      const [, , legacy] = parseGitLabSchedules(schedules);
+      assert.strictEqual(legacy.timeZone, 'Pacific Time (US & Canada)');
+      assert.strictEqual(legacy.expression, 'cron(0 17 ? * ? *)');
+      assert.deepStrictEqual(legacy.warnings.map(warning => warning.code), ['DST_DRIFT']);
+      assert.strictEqual(legacy.error, null);
+    });
+
+    test('Rails names for zones without daylight saving time should convert exactly', () => {
+      const entries = parseGitLabSchedules([
+        { cron: '0 1 * * *', cron_timezone: 'Tokyo' },
+        { cron: '0 1 * * *', cron_timezone: 'Kolkata' },
+        { cron: '0 1 * * *', cron_timezone: 'UTC' }
+      ]);
+      assert.deepStrictEqual(entries.map(entry => entry.expression), ['cron(0 16 ? * ? *)', 'cron(30 19 ? * ? *)', 'cron(0 1 ? * ? *)']);
+      assert.deepStrictEqual(entries.map(entry => entry.error), [null, null, null]);
+    });
+
+    test('Unknown timezone should get an error', () => {
+      const [schedule] = parseGitLabSchedules([{ cron: '0 9 * * *', cron_timezone: 'Mars/Olympus' }]);
+      assert.strictEqual(schedule.expression, null);
+      assert.match(schedule.error, /Unknown timezone "Mars\/Olympus"/);
+    });
+
+    test('Names inherited from Object should not be read as timezones', () => {
+      const [schedule] = parseGitLabSchedules([{ cron: '0 9 * * *', cron_timezone: 'constructor' }]);
+      assert.match(schedule.error, /Unknown timezone "constructor"/);
+    });
+
+    const errorCases = [
+      { name: 'Invalid JSON', input: '[{"cron": ', options: {}, expected: /^Error: Invalid GitLab pipeline schedules: / },
+      { name: 'Single schedule', input: schedules[0], options: {}, expected: /GitLab pipeline schedules must be a list/ },
+      { name: 'Timezone option', input: schedules, options: { timezone: 'UTC' }, expected: /set their own cron_timezone/ }
+    ];
+
+    errorCases.forEach(({ name, input, options, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => parseGitLabSchedules(input, options), expected);
+      });
+    });
+  })
+
+  describe('Command line', () => {
+    const cli = (args, input) => spawnSync(process.execPath, ['cli.js', ...args], { cwd: import.meta.dirname, input, encoding: 'utf8' });
+
+    test('Crontab from stdin should print one line per job', () => {
+      const result = cli(['--crontab'], '*/5 * * * * /usr/bin/check\n@daily /usr/bin/rotate\n');
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, '1\tcron(*/5 * ? * ? *)\t/usr/bin/check\n2\tcron(0 0 ? * ? *)\t/usr/bin/rotate\n');
+    });
+
+    test('Crontab job that needs several expressions should print a line for each', () => {
+      const result = cli(['--crontab'], '0 12 15 * 1 report.sh\n');
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, '1\tcron(0 12 15 * ? *)\treport.sh\n1\tcron(0 12 ? * 2 *)\treport.sh\n');
+    });
+
+    test('System crontab should print JSON entries', () => {
+      const result = cli(['--crontab', '-', '--system', '--year', '2026', '--json'], 'MAILTO=ops\n17 * * * * root run\n');
+      assert.strictEqual(result.status, 0);
+      const [entry] = JSON.parse(result.stdout);
+      assert.strictEqual(entry.user, 'root');
+      assert.strictEqual(entry.expression, 'cron(17 * ? * ? 2026)');
+      assert.deepStrictEqual(entry.environment, { MAILTO: 'ops' });
+    });
+
+    test('Crontab with an invalid job should fail', () => {
+      const result = cli(['--crontab'], '*/5 * * * * ok\n0 24 * * * broken\n');
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, '1\tcron(*/5 * ? * ? *)\tok\n');
+      assert.match(result.stderr, /line 2: error: Invalid hour token "24"/);
+    });
+
+    test('Kubernetes manifests should print one line per CronJob', () => {
+      const manifests = 'kind: CronJob\nmetadata: { name: report, namespace: analytics }\nspec: { schedule: "30 9 * * 1-5" }\n---\nkind: CronJob\nmetadata: { name: broken }\nspec: { schedule: "0 24 * * *" }\n';
+      const result = cli(['--kubernetes'], manifests);
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, 'analytics/report\tcron(30 9 ? * 2-6 *)\n');
+      assert.match(result.stderr, /^default\/broken: error: Invalid hour token "24"/);
+    });
+
+    test('Kubernetes CronJob that needs several expressions should print a line for each', () => {
+      const result = cli(['--kubernetes'], 'kind: CronJob\nmetadata: { name: sync }\nspec: { schedule: "0 0,12 * * 1", timeZone: Asia/Tokyo }\n');
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, 'default/sync\tcron(0 15 ? * 1 *)\ndefault/sync\tcron(0 3 ? * 2 *)\n');
+    });
+
+    test('Kubernetes manifests should print JSON entries', () => {
+      const result = cli(['--kubernetes', '-', '--json', '--year', '2026'], 'kind: CronJob\nmetadata: { name: hourly }\nspec: { schedule: "@hourly" }\n');
+      assert.strictEqual(result.status, 0);
+      const [cronJob] = JSON.parse(result.stdout);
+      assert.strictEqual(cronJob.name, 'hourly');
+      assert.strictEqual(cronJob.expression, 'cron(0 * ? * ? 2026)');
+    });
+
+    test('GitHub workflow should print one line per schedule', () => {
+      const result = cli(['--github'], "on:\n  schedule:\n    - cron: '30 5 * * 1,3'\n    - cron: '* * * * *'\n");
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, '30 5 * * 1,3\tcron(30 5 ? * 2,4 *)\n');
+      assert.match(result.stderr, /^\* \* \* \* \*: error: GitHub Actions runs scheduled workflows at most once every 5 minutes/);
+    });
+
+    test('GitLab schedules should print JSON entries', () => {
+      const result = cli(['--gitlab', '--json'], '[{"id": 1, "description": "Nightly", "cron": "0 1 * * *", "cron_timezone": "Asia/Tokyo"}]');
+      assert.strictEqual(result.status, 0);
+      const [schedule] = JSON.parse(result.stdout);
+      assert.strictEqual(schedule.description, 'Nightly');
+      assert.strictEqual(schedule.expression, 'cron(0 16 ? * ? *)');
+    });
+
+    test('Crontab with Kubernetes should fail', () => {
+      const result = cli(['--crontab', '--kubernetes'], '');
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /--crontab cannot be combined with --kubernetes/);
+    });
+
+    test('Expression argument should print the AWS expression', () => {
+      const result = cli(['30 9 * * 1-5']);
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, 'cron(30 9 ? * 2-6 *)\n');
+    });
+
+    test('Unquoted expression and year should be accepted', () => {
+      const result = cli(['30', '9', '*', '*', '1-5', '--year', '2026']);
+      assert.strictEqual(result.stdout, 'cron(30 9 ? * 2-6 2026)\n');
+    });
+
+    test('Warnings should go to stderr', () => {
+      const result = cli(['0 12 15 * 1']);
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, 'cron(0 12 ? * 2 *)\n');
+      assert.match(result.stderr, /^warning: Both day-of-month and day-of-week specified/);
+    });
+
+    test('Strict mode should fail on lossy conversions', () => {
+      const result = cli(['--strict', '0 12 15 * 1']);
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, '');
+      assert.match(result.stderr, /^error: Conversion is not exact/);
+    });
+
+    test('Invalid expression should fail with the error message', () => {
+      const result = cli(['0 24 * * *']);
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stderr, 'error: Invalid hour token "24" at position 3: value must be between 0 and 23\n');
+    });
+
+    test('Stdin lines should each be converted', () => {
+      const result = cli([], '0 12 * * *\n\nbad\n@hourly\n');
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, 'cron(0 12 ? * ? *)\ncron(0 * ? * ? *)\n');
+      assert.match(result.stderr, /^line 3: error: Unix cron expression must have exactly 5 fields/);
+    });
+
+    test('JSON output should print one object per line', () => {
+      const result = cli(['--json'], '0 12 * * *\nbad\n');
+      const [converted, failed] = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+      assert.strictEqual(result.status, 1);
+      assert.deepStrictEqual(converted, {
+        input: '0 12 * * *',
+        expression: 'cron(0 12 ? * ? *)',
+        fields: { minute: '0', hour: '12', dayOfMonth: '?', month: '*', dayOfWeek: '?', year: '*' },
+        warnings: [],
+        exact: true
+      });
+      assert.strictEqual(failed.input, 'bad');
+      assert.match(failed.error, /must have exactly 5 fields/);
+    });
+
+    test('Reverse should convert AWS to Unix', () => {
+      const result = cli(['--reverse', 'cron(30 9 ? * 2-6 *)']);
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout, '30 9 * * 1-5\n');
+    });
+
+    test('Reverse should fail on AWS-only features', () => {
+      const result = cli(['--reverse', '--json', 'cron(0 12 L * ? *)']);
+      assert.strictEqual(result.status, 1);
+      assert.match(JSON.parse(result.stdout).error, /uses L or W/);
+    });
+
+    test('Reverse with year should fail', () => {
+      const result = cli(['--reverse', '--year', '2026', 'cron(30 9 ? * 2-6 *)']);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /--reverse cannot be combined with --year, --strict, --seed, --crontab, --kubernetes, --github or --gitlab/);
+    });
+
+    test('Reverse with seed should fail', () => {
+      const result = cli(['--reverse', '--seed', 'job', 'cron(30 9 ? * 2-6 *)']);
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, '');
+      assert.match(result.stderr, /^error: --reverse cannot be combined with/);
+    });
+
+    test('System without crontab should fail', () => {
+      const result = cli(['--system', '0 12 * * *']);
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.stdout, '');
+      assert.match(result.stderr, /^error: --system can only be used with --crontab/);
+    });
+
+    test('Unknown option should fail with usage', () => {
+      const result = cli(['--bogus']);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /Usage: unix-cron-to-aws-cron/);
+    });
+  })
+
+  describe('Schedule descriptions', () => {
+    const testCases = [
+      { name: 'Weekday mornings', input: '30 9 * * 1-5', expected: 'At 09:30 UTC, Monday through Friday' },
+      { name: 'AWS weekday mornings', input: 'cron(30 9 ? * 2-6 *)', expected: 'At 09:30 UTC, Monday through Friday' },
+      { name: 'Every minute', input: '* * * * *', expected: 'Every minute' },
+      { name: 'Every 5 minutes', input: '*/5 * * * *', expected: 'Every 5 minutes' },
+      { name: 'Hourly', input: '0 * * * *', expected: 'At minute 0 past every hour' },
+      { name: 'Minute list', input: '5,35 * * * *', expected: 'At minutes 5 and 35 past every hour' },
+      { name: 'Stepped minutes from a value', input: '5/15 * * * *', expected: 'Every 15 minutes from minute 5 through 59 past every hour' },
+      { name: 'Several times a day', input: '0 9,17 * * *', expected: 'At 09:00 and 17:00 UTC' },
+      { name: 'Every 2 hours', input: '0 */2 * * *', expected: 'At minute 0, every 2 hours' },
+      { name: 'Stepped hour range', input: '0 8-18/2 * * *', expected: 'At minute 0, every 2 hours from hour 08 through 18 UTC' },
+      { name: 'Business hours', input: '*/15 9-17 * * 1-5', expected: 'Every 15 minutes, during hours 09 through 17 UTC, Monday through Friday' },
+      { name: 'Day list', input: '0 0 1-7,15 * *', expected: 'At 00:00 UTC, on days 1 through 7 and 15 of the month' },
+      { name: 'Every 2 days', input: '0 0 */2 * *', expected: 'At 00:00 UTC, every 2 days' },
+      { name: 'Month list', input: '0 12 1 1,7 *', expected: 'At 12:00 UTC, on day 1 of the month, in January and July' },
+      { name: 'Quarterly', input: '0 0 1 */3 *', expected: 'At 00:00 UTC, on day 1 of the month, in January, April, July and October' },
+      { name: 'Weekends', input: '0 12 * * 0,6', expected: 'At 12:00 UTC, on Sunday and Saturday' },
+      { name: 'Day names', input: '0 12 * * 1,3,5', expected: 'At 12:00 UTC, on Monday, Wednesday and Friday' },
+      { name: 'Nickname', input: '@weekly', expected: 'At 00:00 UTC, on Sunday' },
+      { name: 'Last day of month', input: 'cron(0 12 L * ? *)', expected: 'At 12:00 UTC, on the last day of the month' },
+      { name: 'Last weekday with year range', input: 'cron(0 12 LW * ? 2026-2028)', expected: 'At 12:00 UTC, on the last weekday of the month, in 2026 through 2028' },
+      { name: 'Nearest weekday', input: 'cron(0 12 15W * ? *)', expected: 'At 12:00 UTC, on the weekday nearest day 15 of the month' },
+      { name: 'Nth weekday', input: 'cron(0 12 ? * 3#2 *)', expected: 'At 12:00 UTC, on the second Tuesday of the month' },
+      { name: 'Last weekday of month', input: 'cron(0 12 ? * 6L *)', expected: 'At 12:00 UTC, on the last Friday of the month' },
+      { name: 'Quartz last day of week', input: 'cron(0 12 ? * L *)', expected: 'At 12:00 UTC, on Saturday' },
+      { name: 'Stepped years', input: 'cron(0 0 ? * ? */2)', expected: 'At 00:00 UTC, every 2 years' },
+      { name: 'Rate in minutes', input: 'rate(5 minutes)', expected: 'Every 5 minutes' },
+      { name: 'Rate of one hour', input: 'rate(1 hour)', expected: 'Every hour' },
+      { name: 'One-time schedule', input: 'at(2026-03-15T09:30:00)', expected: 'Once at 09:30 on March 15, 2026' },
+      { name: 'One-time schedule on a leap day', input: 'at(2028-02-29T09:30:00)', expected: 'Once at 09:30 on February 29, 2028' }
+    ];
+
+    testCases.forEach(({ name, input, expected }) => {
+      test(`${name} should be described`, () => {
+        assert.strictEqual(describeSchedule(input), expected);
+      });
+    });
+
+    test('Year should be described', () => {
+      assert.strictEqual(describeSchedule('0 12 15 * *', '2026'), 'At 12:00 UTC, on day 15 of the month, in 2026');
+      assert.strictEqual(describeSchedule('0 12 15 * *', { year: 2026 }), 'At 12:00 UTC, on day 15 of the month, in 2026');
+    });
+
+    test('Description should follow the converted day field and name the dropped one', () => {
+      assert.strictEqual(describeSchedule('0 12 15 * 1'), 'At 12:00 UTC, on Monday, ignoring the Unix day-of-month (on day 15 of the month)');
+      assert.strictEqual(describeSchedule('0 12 15 * 1-5', { dayConflict: 'dayOfMonth' }), 'At 12:00 UTC, on day 15 of the month, ignoring the Unix day-of-week (Monday through Friday)');
+    });
+
+    test('Description should mention daylight saving time drift', () => {
+      assert.strictEqual(describeSchedule('0 9 * * *', { timezone: 'Europe/Oslo' }), 'At 08:00 UTC, running later in Europe/Oslo local time during daylight saving time');
+    });
+
+    test('Description should mention runs that move to another year', () => {
+      assert.strictEqual(describeSchedule('0 0 * * *', { year: 2026, timezone: 'Asia/Tokyo' }), 'At 15:00 UTC, in 2026, with runs close to midnight on the first or last day of year 2026 falling in a different year');
+    });
+
+    test('Description should be in UTC after a timezone shift', () => {
+      assert.strictEqual(describeSchedule('0 9 * * 1-5', { timezone: 'Asia/Tokyo' }), 'At 00:00 UTC, Monday through Friday');
+    });
+
+    test('Object input should be described', () => {
+      const cronObj = { minute: '30', hour: '9', dayOfMonth: '*', month: '*', dayOfWeek: '1-5' };
+      assert.strictEqual(describeSchedule(cronObj), 'At 09:30 UTC, Monday through Friday');
+    });
+
+    const errorCases = [
+      { name: 'Both AWS day fields', input: 'cron(0 12 1 * 2 *)', expected: /AWS cron expressions cannot restrict both day-of-month and day-of-week/ },
+      { name: 'Invalid rate', input: 'rate(0 minutes)', expected: /Invalid rate expression: rate\(0 minutes\)/ },
+      { name: 'Invalid at', input: 'at(2026-13-01T00:00:00)', expected: /Invalid at expression/ },
+      { name: 'Nonexistent at date', input: 'at(2026-02-31T09:30:00)', expected: /Invalid at expression: at\(2026-02-31T09:30:00\) is not a valid date and time/ },
+      { name: 'Nonexistent at time', input: 'at(2026-03-15T24:00:00)', expected: /Invalid at expression: at\(2026-03-15T24:00:00\) is not a valid date and time/ },
+      { name: 'Invalid Unix expression', input: '0 24 * * *', expected: /Invalid hour token "24"/ }
+    ];
+
+    errorCases.forEach(({ name, input, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(() => describeSchedule(input), expected);
+      });
+    });
+  })
+
+  describe('Infrastructure as code', () => {
+    const conflict = 'Both day-of-month and day-of-week specified. Using day-of-week and setting day-of-month to "?"';
+    const lossyCases = [
+      { name: 'Terraform rule', fn: () => toTerraform('0 12 15 * 1') },
+      { name: 'CloudFormation rule', fn: () => toCloudFormation('0 12 15 * 1') },
+      { name: 'CloudFormation scheduler', fn: () => toCloudFormation('0 12 15 * 1', { resource: 'scheduler' }) },
+      { name: 'CDK cron options', fn: () => toCdkCronOptions('0 12 15 * 1') }
+    ];
+
+    lossyCases.forEach(({ name, fn }) => {
+      test(`${name} should warn about lossy conversions`, () => {
+        assert.deepStrictEqual(captureWarnings(fn).warnings, [conflict]);
+      });
+    });
+
+    test('Terraform rule should warn about daylight saving time drift', () => {
+      const { warnings } = captureWarnings(() => toTerraform('0 9 * * *', { timezone: 'Europe/Oslo', year: 2026 }));
+      assert.match(warnings[0], /Europe\/Oslo observes daylight saving time/);
+    });
+
+    test('Terraform rule should use the converted expression', () => {
+      assert.strictEqual(toTerraform('30 9 * * 1-5'), [
+        'resource "aws_cloudwatch_event_rule" "schedule" {',
+        '  name                = "schedule"',
+        '  schedule_expression = "cron(30 9 ? * 2-6 *)"',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    test('Terraform rule should accept a name, description and year', () => {
+      assert.strictEqual(toTerraform('30 9 * * 1-5', { name: 'weekday_report', description: 'Weekday "report"', year: 2026 }), [
+        'resource "aws_cloudwatch_event_rule" "weekday_report" {',
+        '  name                = "weekday_report"',
+        '  description         = "Weekday \\"report\\""',
+        '  schedule_expression = "cron(30 9 ? * 2-6 2026)"',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    test('Terraform strings should escape template sequences', () => {
+      assert.match(toTerraform('0 0 * * *', { description: 'Not ${var.x} or %{if}' }), /description {9}= "Not \$\$\{var\.x\} or %%\{if\}"/);
+    });
+
+    test('CloudFormation rule should be JSON by default', () => {
+      assert.deepStrictEqual(JSON.parse(toCloudFormation('*/5 * * * *', { rate: true })), {
+        Schedule: {
+          Type: 'AWS::Events::Rule',
+          Properties: { ScheduleExpression: 'rate(5 minutes)', State: 'ENABLED' }
+        }
+      });
+    });
+
+    test('CloudFormation rule should shift a timezone to UTC', () => {
+      const template = JSON.parse(toCloudFormation('0 9 * * 1-5', { timezone: 'Asia/Tokyo', logicalId: 'Report' }));
+      assert.strictEqual(template.Report.Properties.ScheduleExpression, 'cron(0 0 ? * 2-6 *)');
+    });
+
+    test('CloudFormation scheduler should keep the timezone', () => {
+      const yaml = toCloudFormation('CRON_TZ=Europe/Oslo 30 9 * * 1-5', { resource: 'scheduler', format: 'yaml', logicalId: 'WeekdayReport', description: 'Report' });
+      assert.strictEqual(yaml, [
+        'WeekdayReport:',
+        '  Type: AWS::Scheduler::Schedule',
+        '  Properties:',
+        '    Description: Report',
+        '    ScheduleExpression: cron(30 9 ? * 2-6 *)',
+        '    ScheduleExpressionTimezone: Europe/Oslo',
+        '    FlexibleTimeWindow:',
+        '      Mode: "OFF"',
+        ''
+      ].join('\n'));
+    });
+
+    const yamlDescriptions = ['yes', 'No', 'off', 'Runs daily: 09:00', 'Backup #1', 'Report #nightly', '2026', 'Trailing space ', '"Quoted"', 'Daily report'];
+
+    yamlDescriptions.forEach((description) => {
+      test(`CloudFormation YAML should keep the description ${JSON.stringify(description)} a string`, () => {
+        const template = parseYaml(toCloudFormation('0 0 * * *', { format: 'yaml', description }), { version: '1.1' });
+        assert.strictEqual(template.Schedule.Properties.Description, description);
+      });
+    });
+
+    test('Core module should only import Node.js built-ins', () => {
+      const specifiers = [...readFileSync(new URL('./index.js', import.meta.url), 'utf8').matchAll(/^import .* from '([^']+)'/gm)].map(match => match[1]);
+      assert.deepStrictEqual(specifiers.filter(specifier => !specifier.startsWith('node:')), []);
+    });
+
+    test('CloudFormation scheduler should use at() for pinned schedules', () => {
+      const template = JSON.parse(toCloudFormation('30 9 15 3 *', { resource: 'scheduler', year: 2026 }));
+      assert.deepStrictEqual(template.Schedule.Properties, {
+        ScheduleExpression: 'at(2026-03-15T09:30:00)',
+        ScheduleExpressionTimezone: 'UTC',
+        FlexibleTimeWindow: { Mode: 'OFF' }
+      });
+    });
+
+    const cdkCases = [
+      { name: 'Weekdays', input: '30 9 * * 1-5', yearOrOptions: undefined, expected: { minute: '30', hour: '9', month: '*', weekDay: '2-6', year: '*' } },
+      { name: 'Day of month with year', input: '0 0 1 * *', yearOrOptions: '2026', expected: { minute: '0', hour: '0', day: '1', month: '*', year: '2026' } },
+      { name: 'Every day', input: '0 0 * * *', yearOrOptions: undefined, expected: { minute: '0', hour: '0', month: '*', year: '*' } },
+      { name: 'Fixed interval', input: '*/5 * * * *', yearOrOptions: { rate: true }, expected: { minute: '*/5', hour: '*', month: '*', year: '*' } },
+      { name: 'Month names', input: '0 0 1 jan,jul *', yearOrOptions: { nameStyle: 'names' }, expected: { minute: '0', hour: '0', day: '1', month: 'JAN,JUL', year: '*' } }
+    ];
+
+    cdkCases.forEach(({ name, input, yearOrOptions, expected }) => {
+      test(`${name} should convert to CDK cron options`, () => {
+        assert.deepStrictEqual(toCdkCronOptions(input, yearOrOptions), expected);
+      });
+    });
+
+    const errorCases = [
+      { name: 'Invalid Terraform name', fn: () => toTerraform('0 0 * * *', { name: '9bad' }), expected: /Terraform resource name must start with a letter or underscore/ },
+      { name: 'Invalid logical ID', fn: () => toCloudFormation('0 0 * * *', { logicalId: 'my-id' }), expected: /CloudFormation logical ID must be alphanumeric, received: my-id/ },
+      { name: 'Unknown CloudFormation resource', fn: () => toCloudFormation('0 0 * * *', { resource: 'lambda' }), expected: /resource must be one of: rule, scheduler/ },
+      { name: 'Unknown CloudFormation format', fn: () => toCloudFormation('0 0 * * *', { format: 'xml' }), expected: /format must be one of: json, yaml/ },
+      { name: 'Invalid CDK input', fn: () => toCdkCronOptions('0 24 * * *'), expected: /Invalid hour token "24"/ },
+      { name: 'Lossy Terraform rule in strict mode', fn: () => toTerraform('0 12 15 * 1', { strict: true }), expected: LossyConversionError }
+    ];
+
+    errorCases.forEach(({ name, fn, expected }) => {
+      test(`${name} should throw error`, () => {
+        assert.throws(fn, expected);
+      });
+    });
+  })
 })